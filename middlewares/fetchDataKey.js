@@ -0,0 +1,17 @@
+import { getDataKey } from "../utils/dataKeys.js";
+
+// Middleware to unwrap the data key once per request, the workspace's key
+// when fetchWorkspace picked one and the user's own otherwise
+const fetchDataKey = async (req, res, next) => {
+    try {
+        req.dataKey = await getDataKey(req.space?.id ?? req.user.id);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).send({ error: error.message });
+        }
+        return res.status(500).send({ error: "Failed to load your encryption key. Please try again." });
+    }
+    next();
+}
+
+export default fetchDataKey;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import { Workspace } from "../models/Workspace.js";
+
+// Middleware to resolve the space a request works in, from the X-Workspace-Id
+// header or the workspace query parameter. Notes and labels of a workspace are
+// owned by the workspace id, so routes scope them by req.space.id, which is the
+// user's own id in their personal space. Membership is checked on every request,
+// so removed members lose access at once.
+const fetchWorkspace = async (req, res, next) => {
+    const workspaceId = req.header("X-Workspace-Id") ?? (typeof req.query.workspace === "string" ? req.query.workspace : undefined);
+    if (!workspaceId || workspaceId === "personal") {
+        req.space = { id: req.user.id, workspace: null, role: "owner" };
+        return next();
+    }
+    if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+        return res.status(400).send({ error: "Invalid workspace ID format" });
+    }
+    try {
+        const workspace = await Workspace.findOne({ _id: workspaceId, "members.user": req.user.id }).lean();
+        if (!workspace) {
+            return res.status(404).send({ error: "Workspace not found" });
+        }
+        const { role } = workspace.members.find(m => m.user.toString() === req.user.id);
+        req.space = { id: workspace._id.toString(), workspace, role };
+    } catch (error) {
+        return res.status(500).send({ error: "Failed to load your workspace. Please try again." });
+    }
+    next();
+}
+
+export default fetchWorkspace;
@@ -1,20 +1,25 @@
 import jwt from "jsonwebtoken"
+import { isSessionActive } from "../utils/sessions.js";
 
 // Middleware to fetch user
-const fetchuser = (req, res, next) => {
+const fetchuser = async (req, res, next) => {
     // Store the authtoken sent in header
     const token = req.header("auth-token");
     if (!token) {
-        res.status(401).send({ error: "Please authenticate using a valid token" });
+        return res.status(401).send({ error: "Please authenticate using a valid token" });
     }
     try {
-        // Verify if the token is valid
+        // Verify if the token is valid and not expired
         const data = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = data.user; // Attach the user ID from token payload to the request object
-        next();
+        // Tokens of revoked or expired sessions, and tokens from before sessions, are refused
+        if (!(await isSessionActive(data.user?.sessionId))) {
+            return res.status(401).send({ error: "Please authenticate using a valid token" });
+        }
+        req.user = data.user; // Attach the user ID and session ID from token payload to the request object
     } catch (error) {
-        res.status(401).send({ error: "Please authenticate using a valid token" });
+        return res.status(401).send({ error: "Please authenticate using a valid token" });
     }
+    next();
 }
 
-export default fetchuser;
\ No newline at end of file
+export default fetchuser;
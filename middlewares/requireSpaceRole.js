@@ -0,0 +1,23 @@
+import { WORKSPACE_ROLE_RANKS } from "../models/Workspace.js";
+
+// Check that the user holds at least the given role in the space of the
+// request. The personal space is always the user's own, so it passes.
+export const checkSpaceRole = (space, role) => {
+    if (WORKSPACE_ROLE_RANKS[space.role] < WORKSPACE_ROLE_RANKS[role]) {
+        throw new Error(role === "owner" ? "Only the workspace owner can do this" : "Admin access required");
+    }
+}
+
+// Middleware to keep workspace members below a role away from a route, such as
+// plain members from sharing notes outside the workspace or deleting them for
+// good. Runs after fetchWorkspace.
+const requireSpaceRole = (role) => (req, res, next) => {
+    try {
+        checkSpaceRole(req.space, role);
+    } catch (error) {
+        return res.status(403).send({ error: error.message });
+    }
+    next();
+}
+
+export default requireSpaceRole;
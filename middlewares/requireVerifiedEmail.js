@@ -0,0 +1,14 @@
+import { checkFeatureAllowed } from "../utils/verification.js";
+
+// Middleware to keep accounts with an unverified email away from a feature
+// listed in UNVERIFIED_BLOCKED_FEATURES
+const requireVerifiedEmail = (feature) => async (req, res, next) => {
+    try {
+        await checkFeatureAllowed(req.user.id, feature);
+    } catch (error) {
+        return res.status(error.status || 500).send({ error: error.status ? error.message : "Failed to load your account. Please try again." });
+    }
+    next();
+}
+
+export default requireVerifiedEmail;
@@ -1,19 +1,26 @@
 import { body, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import { Tag } from "../models/Tag.js";
-import { decrypt } from "../utils/encryption.js";
+import { LANGUAGE_PATTERN, normalizeLanguage } from "../utils/languages.js";
 
 // CONSTANTS
-const ALLOWED_COLOURS = ["default", "coral", "peach", "sand", "mint", "sage", "fog", "storm", "dusk", "blossom", "clay", "chalk"];
+export const ALLOWED_COLOURS = ["default", "coral", "peach", "sand", "mint", "sage", "fog", "storm", "dusk", "blossom", "clay", "chalk"];
 const MAX_TITLE_LENGTH = 180;
 const MAX_CONTENT_LENGTH = 30000;
-const MAX_TAG_LENGTH = 10;
 const MAX_TAGS_COUNT = 50;
+const MAX_CHECKLIST_ITEMS = 200;
+const MAX_ITEM_LENGTH = 500;
+const MAX_FILES = 10;
+const MAX_FILENAME_LENGTH = 100;
+const MAX_FILE_LENGTH = 100000;
+export const NOTE_TYPES = ["text", "checklist"];
+export const REMINDER_REPEATS = ["none", "daily", "weekly", "monthly"];
+export const NOTE_ROLES = ["viewer", "editor"];
 
-// Validate note object id
-export const validateObjectId = (id) => {
+// Validate note (or other document) object id
+export const validateObjectId = (id, message = "Invalid note ID format") => {
   if (!mongoose.Types.ObjectId.isValid(id)) {
-    throw new Error("Invalid note ID format");
+    throw new Error(message);
   }
 };
 
@@ -27,13 +34,123 @@ export const checkNoteOwnership = (note, userId) => {
   }
 };
 
-// Validate note title and content
-export const noteTextValidation = body().custom((value, { req }) => {
-  const { title, content } = req.body;
-  // Check that at least title or content is provided
-  if (!title?.trim() && !content?.trim()) {
+// Role of a user on a note: "owner", "editor", "viewer" or null without access
+export const getNoteRole = (note, userId) => {
+  if (note.user.toString() === userId) return "owner";
+  return note.collaborators?.find(c => c.user.toString() === userId)?.role ?? null;
+};
+
+const ROLE_RANKS = { viewer: 1, editor: 2, owner: 3 };
+
+// Check that a user has at least the given role on a note. Collaborators lose
+// access while the owner has the note in the bin.
+export const checkNoteAccess = (note, userId, role = "viewer") => {
+  if (!note) {
+    throw new Error("Note not found");
+  }
+  const userRole = getNoteRole(note, userId);
+  if (!userRole || (userRole !== "owner" && note.isDeleted)) {
+    throw new Error("Access denied");
+  }
+  if (ROLE_RANKS[userRole] < ROLE_RANKS[role]) {
+    throw new Error(role === "owner" ? "Only the note owner can do this" : "Editor access required");
+  }
+};
+
+// Read the version a client expects a note to be at, from an If-Match header
+// or an expectedVersion body field. Returns undefined when neither is sent.
+export const getExpectedVersion = (req) => {
+  const ifMatch = req.header("If-Match");
+  const raw = ifMatch !== undefined
+    ? ifMatch.replace(/^W\//, "").replace(/"/g, "").trim()
+    : req.body?.expectedVersion;
+  if (raw === undefined || raw === null || raw === "" || raw === "*") {
+    return undefined;
+  }
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error("Invalid note version");
+  }
+  return version;
+};
+
+// Check the text of one checklist item
+export const checkChecklistItemText = (text) => {
+  if (typeof text !== 'string' || text.length > MAX_ITEM_LENGTH) {
+    throw new Error(`Each checklist item must be a string with maximum ${MAX_ITEM_LENGTH} characters`);
+  }
+};
+
+// Check a list of checklist items and the number of items
+export const checkChecklistItems = (items, extraItems = 0) => {
+  if (items === undefined) return;
+  if (!Array.isArray(items)) {
+    throw new Error("Invalid checklist items format");
+  }
+  if (items.length + extraItems > MAX_CHECKLIST_ITEMS) {
+    throw new Error(`Maximum ${MAX_CHECKLIST_ITEMS} checklist items allowed`);
+  }
+  for (const item of items) {
+    if (!item || typeof item !== 'object') {
+      throw new Error("Invalid checklist items format");
+    }
+    checkChecklistItemText(item.text);
+  }
+};
+
+// Check a snippet language id, null or an empty string clears it
+export const checkLanguage = (language) => {
+  if (language === undefined || language === null || language === '') return;
+  if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(normalizeLanguage(language))) {
+    throw new Error("Language must be a name of at most 30 letters, digits or + # . - characters");
+  }
+};
+
+// Check the named files of a code snippet. Each file has its own size limit
+// and file names must be unique within the note.
+export const checkNoteFiles = (files) => {
+  if (files === undefined) return;
+  if (!Array.isArray(files)) {
+    throw new Error("Invalid files format");
+  }
+  if (files.length > MAX_FILES) {
+    throw new Error(`Maximum ${MAX_FILES} files allowed`);
+  }
+  const filenames = new Set();
+  for (const file of files) {
+    if (!file || typeof file !== 'object') {
+      throw new Error("Invalid files format");
+    }
+    const filename = typeof file.filename === 'string' ? file.filename.trim() : '';
+    if (!filename || filename.length > MAX_FILENAME_LENGTH || /[\/\\\x00-\x1f]/.test(filename)) {
+      throw new Error(`File name must be a non empty string of at most ${MAX_FILENAME_LENGTH} characters without slashes`);
+    }
+    if (filenames.has(filename)) {
+      throw new Error(`Duplicate file name "${filename}"`);
+    }
+    filenames.add(filename);
+    if (typeof file.content !== 'string' || file.content.length > MAX_FILE_LENGTH) {
+      throw new Error(`File content must be a string with maximum ${MAX_FILE_LENGTH} characters`);
+    }
+    checkLanguage(file.language);
+  }
+};
+
+// Check note title, content, checklist items and snippet files
+export const checkNoteText = ({ title, content, type, items, files }) => {
+  // Check that at least title, content, a checklist item or a file is provided
+  if (!title?.trim() && !content?.trim() && !(Array.isArray(items) && items.some(item => item?.text?.trim()))
+    && !(Array.isArray(files) && files.length > 0)) {
     throw new Error("Either title or content is required");
   }
+  checkNoteFiles(files);
+  if (type !== undefined && !NOTE_TYPES.includes(type)) {
+    throw new Error(`Invalid note type. Must be one of: ${NOTE_TYPES.join(', ')}`);
+  }
+  checkChecklistItems(items);
+  if (items?.length > 0 && type !== "checklist") {
+    throw new Error("Note is not a checklist");
+  }
   // Validate title length
   if (title && title.length > MAX_TITLE_LENGTH) {
     throw new Error(`Title cannot exceed ${MAX_TITLE_LENGTH} characters`);
@@ -42,6 +159,29 @@ export const noteTextValidation = body().custom((value, { req }) => {
   if (content && content.length > MAX_CONTENT_LENGTH) {
     throw new Error(`Content cannot exceed ${MAX_CONTENT_LENGTH} characters`);
   }
+};
+
+// Validate note title, content and checklist items
+export const noteTextValidation = body().custom((value, { req }) => {
+  checkNoteText(req.body);
+  return true;
+});
+
+// Validate snippet files sent with an edited note
+export const noteFilesValidation = body().custom((value, { req }) => {
+  checkNoteFiles(req.body.files);
+  return true;
+});
+
+// Validate the snippet language of a note
+export const languageValidation = body().custom((value, { req }) => {
+  checkLanguage(req.body.language);
+  return true;
+});
+
+// Validate checklist items sent with an edited note
+export const checklistItemsValidation = body().custom((value, { req }) => {
+  checkChecklistItems(req.body.items);
   return true;
 });
 
@@ -55,42 +195,67 @@ export const tagStringValidation = body("name")
   .isLength({ min: 1, max: 10 })
   .withMessage("Label must be a non empty string with not more than 10 characters");
 
-// Validate 
-export const tagArrayValidation = body().custom(async (value, { req }) => {
-  const { tag } = req.body;
+// Check that a tag array only holds ids of labels already added to the space the request works in
+export const checkTagArray = async (tag, userId) => {
   if (tag !== undefined) {
     if (Array.isArray(tag)) {
       if (tag.length > MAX_TAGS_COUNT) {
         throw new Error(`Maximum ${MAX_TAGS_COUNT} tags allowed`);
       }
-      const invalidTags = tag.filter(t =>
-        !t || typeof t !== 'string' || t.trim().length === 0 || t.length > MAX_TAG_LENGTH
-      );
+      const invalidTags = tag.filter(t => typeof t !== 'string' || !mongoose.Types.ObjectId.isValid(t));
       if (invalidTags.length > 0) {
-        throw new Error(`Each lebel must be a non-empty string with maximum ${MAX_TAG_LENGTH} characters`);
+        throw new Error("Each label must be a valid label ID");
       }
-      const globalTagObjs = await Tag.find({ user: req.user.id }).lean();
-      // Extract and decrypt the tag strings from each document
-      const globalTags = globalTagObjs.map(tagObj => decrypt(tagObj.name));
-      // Check if all provided tags exist in the user's global tags
-      for (const t of tag) {
-        if (!globalTags.includes(t.trim())) {
-          throw new Error("Label should be added first before use");
-        }
+      // Every id must belong to one of the user's labels
+      const uniqueIds = [...new Set(tag)];
+      const ownedCount = await Tag.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+      if (ownedCount !== uniqueIds.length) {
+        throw new Error("Label should be added first before use");
       }
     } else {
       throw new Error("Invalid tag format");
     }
   }
+};
+
+// Validate 
+export const tagArrayValidation = body().custom(async (value, { req }) => {
+  await checkTagArray(req.body.tag, req.space.id);
   return true;
 });
 
-// Validation rules for note card colour
-export const colourValidation = body().custom((value, { req }) => {
-  const { colour } = req.body;
+// Check note card colour
+export const checkColour = (colour) => {
   if (colour && !ALLOWED_COLOURS.includes(colour)) {
     throw new Error(`Invalid colour. Must be one of: ${ALLOWED_COLOURS.join(', ')}`);
   }
+};
+
+// Validation rules for note card colour
+export const colourValidation = body().custom((value, { req }) => {
+  checkColour(req.body.colour);
+  return true;
+});
+
+// Check a note reminder time, null clears it, and how it repeats
+export const checkReminder = ({ reminderAt, reminderRepeat }) => {
+  if (reminderAt !== undefined && reminderAt !== null) {
+    const date = new Date(reminderAt);
+    if (typeof reminderAt !== 'string' || Number.isNaN(date.getTime())) {
+      throw new Error("Reminder time must be a valid date");
+    }
+    if (date <= new Date()) {
+      throw new Error("Reminder time must be in the future");
+    }
+  }
+  if (reminderRepeat !== undefined && !REMINDER_REPEATS.includes(reminderRepeat)) {
+    throw new Error(`Invalid reminder repeat. Must be one of: ${REMINDER_REPEATS.join(', ')}`);
+  }
+};
+
+// Validation rules for note reminders
+export const reminderValidation = body().custom((value, { req }) => {
+  checkReminder(req.body);
   return true;
 });
 
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+export const ACCOUNT_TOKEN_PURPOSES = ["password-reset", "email-verification"];
+
+// Single-use token emailed to a user to reset their password or verify their
+// email. Only its hash is stored, and using it deletes it.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ACCOUNT_TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+accountTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
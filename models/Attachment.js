@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A file attached to a note. The file itself is encrypted with the owner's data
+// key and kept by the attachment storage backend under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    required: true
+  },
+  // Encrypted with the owner's data key
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Size of the file before encryption, in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attachmentSchema.index({ note: 1, createdAt: 1 });
+attachmentSchema.index({ user: 1 });
+
+export const Attachment = mongoose.model('Attachment', attachmentSchema);
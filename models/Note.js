@@ -1,5 +1,49 @@
 import mongoose from "mongoose";
 
+// One entry of a checklist note, its text encrypted with the owner's data key
+export const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    default: ""
+  },
+  checked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// One named file of a code snippet, its name and content encrypted with the
+// owner's data key. The language is kept in plain, like the colour, so notes
+// can be filtered by it.
+export const noteFileSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ""
+  },
+  language: {
+    type: String,
+    default: null
+  }
+});
+
+// A user the owner shared the note with, and what they may do with it
+const collaboratorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ["viewer", "editor"],
+    required: true
+  }
+}, { _id: false });
+
 const noteSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,8 +58,29 @@ const noteSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  type: {
+    type: String,
+    enum: ["text", "checklist"],
+    default: "text"
+  },
+  // Ordered items of a checklist note, empty for text notes
+  items: {
+    type: [checklistItemSchema],
+    default: []
+  },
+  // Programming language of a code snippet, null for other notes
+  language: {
+    type: String,
+    default: null
+  },
+  // Named file parts of a code snippet
+  files: {
+    type: [noteFileSchema],
+    default: []
+  },
+  // Ids of the user's labels, resolved to names when the note is read
   tag: {
-    type: [String],
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
     default: []
   },
   isPinned: {
@@ -30,12 +95,73 @@ const noteSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the note was moved to the bin, null outside the bin
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Next time a reminder fires for the note, null when none is pending
+  reminderAt: {
+    type: Date,
+    default: null
+  },
+  reminderRepeat: {
+    type: String,
+    enum: ["none", "daily", "weekly", "monthly"],
+    default: "none"
+  },
   colour: {
     type: String,
     required: true,
+  },
+  // Users the note is shared with. It stays encrypted with the owner's data key.
+  collaborators: {
+    type: [collaboratorSchema],
+    default: []
+  },
+  // Incremented on every change, used as the ETag for optimistic concurrency
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Set on every change a client can see, including those that keep updatedAt, for delta sync
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Keyed hashes of word prefixes, so search doesn't decrypt every note
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  // Keyed hash of the whole title, for resolving [[Note title]] links
+  titleToken: {
+    type: String,
+    select: false
+  },
+  // Coarse bucket of the title's first character, so title sorted pages only
+  // decrypt the titles of one bucket (see buildTitleSortKey). Plain text, so only
+  // stored when TITLE_SORT_KEYS is on.
+  titleSortKey: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+noteSchema.index({ user: 1, updatedAt: -1, _id: -1 });
+noteSchema.index({ user: 1, createdAt: -1, _id: -1 });
+noteSchema.index({ user: 1, changedAt: 1 });
+noteSchema.index({ user: 1, searchTokens: 1 });
+noteSchema.index({ user: 1, titleToken: 1 });
+noteSchema.index({ user: 1, titleSortKey: 1 });
+noteSchema.index({ "collaborators.user": 1, isDeleted: 1 });
+noteSchema.index({ user: 1, tag: 1 });
+noteSchema.index({ user: 1, language: 1 });
+noteSchema.index({ user: 1, "files.language": 1 });
+noteSchema.index({ isDeleted: 1, deletedAt: 1 });
+noteSchema.index({ reminderAt: 1 });
+noteSchema.index({ user: 1, reminderAt: 1, _id: 1 });
+
 export const Note = mongoose.model('Note', noteSchema);
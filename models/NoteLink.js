@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// A [[...]] reference from one note's content to another note. Links by id
+// store the target id, links by title store the title as written (encrypted)
+// with its blind title token, and are resolved to a note whenever they are read.
+const noteLinkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    default: null
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  titleToken: {
+    type: String,
+    default: null
+  }
+});
+
+noteLinkSchema.index({ source: 1 });
+noteLinkSchema.index({ user: 1, target: 1 });
+noteLinkSchema.index({ user: 1, titleToken: 1 });
+
+export const NoteLink = mongoose.model('NoteLink', noteLinkSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import { checklistItemSchema, noteFileSchema } from "./Note.js";
+
+const noteRevisionSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Encrypted copies of the note text, checklist items, snippet files and label ids as they were before an update
+  title: {
+    type: String,
+    default: ""
+  },
+  content: {
+    type: String,
+    default: ""
+  },
+  type: {
+    type: String,
+    enum: ["text", "checklist"],
+    default: "text"
+  },
+  items: {
+    type: [checklistItemSchema],
+    default: []
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  files: {
+    type: [noteFileSchema],
+    default: []
+  },
+  tag: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+noteRevisionSchema.index({ note: 1, createdAt: -1 });
+
+export const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const collectionProgressSchema = new mongoose.Schema({
+  lastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  scanned: {
+    type: Number,
+    default: 0
+  },
+  reencrypted: {
+    type: Number,
+    default: 0
+  },
+  done: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const reencryptionJobSchema = new mongoose.Schema({
+  // Key id every value is being rewritten under, one job per key and format
+  keyId: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["running", "completed", "failed"],
+    default: "running"
+  },
+  progress: {
+    type: Map,
+    of: collectionProgressSchema,
+    default: {}
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reencryptionJobSchema.index({ keyId: 1, format: 1 }, { unique: true });
+
+export const ReencryptionJob = mongoose.model('ReencryptionJob', reencryptionJobSchema);
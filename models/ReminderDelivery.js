@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Delivery log entries are kept this long
+export const REMINDER_LOG_RETENTION_DAYS = 90;
+
+// One fired occurrence of a note reminder. The unique note and due time make
+// each occurrence claimable once, so restarts never deliver it twice, and the
+// entries double as the in-app reminder log.
+const reminderDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // Pending until the notifier has accepted the reminder, failed once it gave up retrying
+  status: {
+    type: String,
+    enum: ["pending", "delivered", "failed"],
+    default: "pending"
+  },
+  // Delivery attempts started so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Lease of the process sending the reminder, so several servers never send it at
+  // once. After a failed attempt it holds the time of the next retry.
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reminderDeliverySchema.index({ note: 1, dueAt: 1 }, { unique: true });
+reminderDeliverySchema.index({ user: 1, dueAt: -1 });
+reminderDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: REMINDER_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+export const ReminderDelivery = mongoose.model('ReminderDelivery', reminderDeliverySchema);
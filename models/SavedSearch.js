@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Name and search query, encrypted with the owner's data key
+  name: {
+    type: String,
+    default: ""
+  },
+  query: {
+    type: String,
+    default: ""
+  },
+  // Note categories the search runs over, as accepted by buildCategoryFilter
+  categories: {
+    type: [String],
+    default: ["pinned", "archived", "regular"]
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1 });
+
+export const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Rotated refresh tokens remembered per session to recognise their reuse
+export const MAX_PREVIOUS_TOKENS = 20;
+
+// A signed in device. Its refresh token is rotated on every use and only its
+// hash is stored. Access tokens name the session, so revoking it ends them too.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of the refresh tokens this session has already rotated away from
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  // Browser and operating system read from the user agent, e.g. "Chrome on Windows"
+  device: {
+    type: String,
+    default: "Unknown device"
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back on every refresh, so idle sessions end on their own
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Public read-only link to a note. Only a hash of the token is looked up, the
+// token itself is kept encrypted with the owner's data key so they can copy it again.
+const shareLinkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Encrypted with the owner's data key
+  token: {
+    type: String,
+    required: true
+  },
+  // bcrypt hash of the optional password
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Wrong passwords in a row, the link is locked for a while once there are too many
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ user: 1, note: 1, createdAt: -1 });
+shareLinkSchema.index({ note: 1 });
+// Expired links are removed by MongoDB, links without an expiry are kept
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
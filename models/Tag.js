@@ -9,9 +9,17 @@ const tagSchema = new mongoose.Schema({
   name: {
     type: String,
     default: ""
+  },
+  // Label this one is nested under, null for a top level label
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Tag",
+    default: null
   }
 }, {
   timestamps: true
 });
 
+tagSchema.index({ user: 1, parent: 1 });
+
 export const Tag = mongoose.model('Tag', tagSchema);
\ No newline at end of file
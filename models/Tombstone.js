@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Tombstones are kept this long, sync tokens older than that need a full resync
+export const TOMBSTONE_RETENTION_DAYS = 90;
+
+// Record of a permanently deleted note or label, so offline clients can drop their copy
+const tombstoneSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ["note", "tag"],
+    required: true
+  },
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tombstoneSchema.index({ user: 1, deletedAt: 1 });
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+export const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
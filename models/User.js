@@ -13,6 +13,23 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true
+  },
+  // False until the user opens the link emailed at sign up. Accounts from before
+  // email verification have no value and count as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  // Data key for the user's notes and labels, wrapped by the server key.
+  // Removing it (npm run shred:data-key) makes everything encrypted under it unrecoverable.
+  dataKey: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Total size of the user's attachments, counted against their quota
+  attachmentBytes: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
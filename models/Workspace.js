@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+export const WORKSPACE_ROLES = ["owner", "admin", "member"];
+// Each role may do everything the roles ranked below it may
+export const WORKSPACE_ROLE_RANKS = { member: 1, admin: 2, owner: 3 };
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Team space whose notes and labels are shared by every member. They are stored
+// with the workspace id as their owner and encrypted with the workspace's data key.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  // Data key for the workspace's notes and labels, wrapped by the server key
+  dataKey: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Total size of the workspace's attachments, counted against its quota
+  attachmentBytes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ "members.user": 1 });
+
+export const Workspace = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Invitations are valid this long
+export const INVITATION_EXPIRY_DAYS = 7;
+
+// Pending invitation to join a workspace, accepted by whoever signs in with the email
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ["admin", "member"],
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+workspaceInvitationSchema.index({ workspace: 1, email: 1 }, { unique: true });
+workspaceInvitationSchema.index({ email: 1 });
+workspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const WorkspaceInvitation = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
@@ -0,0 +1,118 @@
+import express from "express";
+import { Note } from "../models/Note.js";
+import { Attachment } from "../models/Attachment.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId, checkNoteAccess } from "../middlewares/validation.js";
+import { handleError, getNoteDataKey } from "../utils/noteUtils.js";
+import { encrypt, decrypt, encryptBuffer, decryptBuffer } from "../utils/encryption.js";
+import { getAttachmentStorage } from "../utils/attachmentStorage.js";
+import { checkAttachment, reserveQuota, releaseQuota, deleteAttachments } from "../utils/attachments.js";
+
+const router = express.Router();
+
+// Load a note the user has at least the given role on, with the key it is
+// encrypted with. Attachments of shared notes use the owner's key and quota.
+const findAccessibleNote = async (req, role = "viewer") => {
+  validateObjectId(req.params.id);
+  const note = await Note.findById(req.params.id).select("user collaborators isDeleted").lean();
+  checkNoteAccess(note, req.space.id, role);
+  return { note, ownerId: note.user.toString(), dataKey: await getNoteDataKey(note, req.space.id, req.dataKey) };
+};
+
+// Load an attachment of the given note
+const findAttachment = async (noteId, attachmentId) => {
+  validateObjectId(attachmentId, "Invalid attachment ID format");
+  const attachment = await Attachment.findOne({ _id: attachmentId, note: noteId }).lean();
+  if (!attachment) {
+    throw new Error("Attachment not found");
+  }
+  return attachment;
+};
+
+const describeAttachment = (attachment, dataKey) => ({
+  _id: attachment._id,
+  filename: decrypt(attachment.filename, dataKey),
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  createdAt: attachment.createdAt
+});
+
+// ROUTE 1: Upload a file to a note. The request body is the file itself, its
+// type is the Content-Type header and its name the filename query parameter.
+router.post("/:id/attachments", fetchuser, requireVerifiedEmail("attachments"), fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, ownerId, dataKey } = await findAccessibleNote(req, "editor");
+    const mimeType = (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+    const data = req.body;
+    const filename = checkAttachment({ filename: req.query.filename, mimeType, data });
+    await reserveQuota(ownerId, data.length);
+    const attachment = new Attachment({
+      user: ownerId,
+      note: note._id,
+      filename: encrypt(filename, dataKey),
+      mimeType,
+      size: data.length
+    });
+    attachment.storageKey = `${ownerId}/${attachment._id}`;
+    const storage = getAttachmentStorage();
+    try {
+      await storage.put(attachment.storageKey, encryptBuffer(data, dataKey));
+      await attachment.save();
+    } catch (error) {
+      await storage.delete(attachment.storageKey);
+      await releaseQuota(ownerId, data.length);
+      throw error;
+    }
+    // The note may have been purged while the file was being stored
+    if (!(await Note.exists({ _id: note._id }))) {
+      await deleteAttachments(ownerId, [attachment]);
+      throw new Error("Note not found");
+    }
+    res.status(201).json(describeAttachment(attachment.toObject(), dataKey));
+  } catch (error) {
+    handleError(error, res, "Failed to upload attachment. Please try again");
+  }
+});
+
+// ROUTE 2: List the attachments of a note, oldest first
+router.get("/:id/attachments", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, dataKey } = await findAccessibleNote(req);
+    const attachments = await Attachment.find({ note: note._id }).sort({ createdAt: 1, _id: 1 }).lean();
+    res.status(200).json(attachments.map(attachment => describeAttachment(attachment, dataKey)));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch attachments. Please try again");
+  }
+});
+
+// ROUTE 3: Download an attachment with its original name and type
+router.get("/:id/attachments/:attachmentId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, dataKey } = await findAccessibleNote(req);
+    const attachment = await findAttachment(note._id, req.params.attachmentId);
+    const data = decryptBuffer(await getAttachmentStorage().get(attachment.storageKey), dataKey);
+    res.attachment(decrypt(attachment.filename, dataKey));
+    res.type(attachment.mimeType);
+    res.set("X-Content-Type-Options", "nosniff");
+    res.status(200).send(data);
+  } catch (error) {
+    handleError(error, res, "Failed to download attachment. Please try again");
+  }
+});
+
+// ROUTE 4: Delete an attachment and its file
+router.delete("/:id/attachments/:attachmentId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, ownerId } = await findAccessibleNote(req, "editor");
+    const attachment = await findAttachment(note._id, req.params.attachmentId);
+    await deleteAttachments(ownerId, [attachment]);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to delete attachment. Please try again");
+  }
+});
+
+export default router;
@@ -1,9 +1,14 @@
 import express from "express"
+import mongoose from "mongoose"
 import { User } from "../models/User.js"
 import { body, validationResult } from 'express-validator';
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken"
 import fetchuser from "../middlewares/fetchuser.js";
+import { createWrappedDataKey } from "../utils/dataKeys.js";
+import { createSession, rotateSession, revokeSessions } from "../utils/sessions.js";
+import { Session } from "../models/Session.js";
+import { consumeAccountToken, isInCooldown, sendPasswordResetEmail, sendVerificationEmail } from "../utils/accountTokens.js";
+import { isEmailUnverified } from "../utils/verification.js";
 
 const router = express.Router();
 
@@ -39,13 +44,19 @@ router.post('/create-account', userNameRules.concat(credentialRules), async (req
         user = await User.create({
             name: req.body.name,
             email: req.body.email,
-            password: hash
+            password: hash,
+            emailVerified: false,
+            dataKey: createWrappedDataKey()
         });
-        // Sign the jwt web token
-        const userData = { user: { id: user.id } };
-        const authtoken = jwt.sign(userData, process.env.JWT_SECRET); // jwt.sign() is a sync function
-        // Send the authtoken
-        res.status(201).json({ authtoken });
+        // The account works right away, a failed email can be sent again with resend-verification
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error("Failed to send verification email:", error);
+        }
+        // Start a session with a short-lived access token and a refresh token
+        const tokens = await createSession(user.id, req);
+        res.status(201).json(tokens);
     } catch (error) {
         res.status(500).json({ error: "Failed to create account. Please try again." });
     }
@@ -66,11 +77,9 @@ router.post('/login', credentialRules, async (req, res) => {
         }
         // Check password from db and return authtoken
         if (await bcrypt.compare(req.body.password, user.password)) {
-            // Sign the jwt web token
-            const userData = { user: { id: user.id } };
-            const authtoken = jwt.sign(userData, process.env.JWT_SECRET); // jwt.sign() is a sync function
-            // Send the authtoken
-            res.status(200).json({ authtoken });
+            // Start a session with a short-lived access token and a refresh token
+            const tokens = await createSession(user.id, req);
+            res.status(200).json(tokens);
         } else {
             return res.status(401).json({ error: "Please check your credentials or try again." });
         }
@@ -104,6 +113,10 @@ router.post('/change-username', fetchuser, async (req, res) => {
 
 // ROUTE 5: Change user's password
 router.post('/change-password', fetchuser, passwordRules, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array() });
+    }
     try {
         const userId = req.user.id;
         const user = await User.findById(userId);
@@ -112,6 +125,8 @@ router.post('/change-password', fetchuser, passwordRules, async (req, res) => {
             const newPasswordHash = await bcrypt.hash(req.body.newPassword, salt);
             const updates = { password: newPasswordHash }
             const updatedUser = await User.findByIdAndUpdate(userId, { $set: updates }, { new: true }).select("-password");
+            // Sign out every other device, they have to log in with the new password
+            await revokeSessions(userId, { _id: { $ne: req.user.sessionId } });
             res.status(200).json(updatedUser);
         } else {
             return res.status(400).json({ error: "Old password is incorrect" });
@@ -121,4 +136,144 @@ router.post('/change-password', fetchuser, passwordRules, async (req, res) => {
     }
 })
 
+// ROUTE 6: Trade a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+    try {
+        const tokens = await rotateSession(req.body.refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({ error: "Your session has ended. Please log in again." });
+        }
+        res.status(200).json(tokens);
+    } catch (error) {
+        res.status(500).json({ error: "Failed to refresh session. Please try again." });
+    }
+})
+
+// ROUTE 7: Log out, ending the current session
+router.post('/logout', fetchuser, async (req, res) => {
+    try {
+        await revokeSessions(req.user.id, { _id: req.user.sessionId });
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to log out. Please try again." });
+    }
+})
+
+// ROUTE 8: List the user's active sessions, most recently used first
+router.get('/fetch-sessions', fetchuser, async (req, res) => {
+    try {
+        const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select("device userAgent ip createdAt lastUsedAt expiresAt")
+            .sort({ lastUsedAt: -1 })
+            .lean();
+        res.status(200).json(sessions.map(session => ({ ...session, current: session._id.toString() === req.user.sessionId })));
+    } catch (error) {
+        res.status(500).json({ error: "Failed to fetch sessions. Please try again." });
+    }
+})
+
+// ROUTE 9: Revoke one of the user's sessions
+router.delete('/revoke-session/:id', fetchuser, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid session ID format" });
+        }
+        const revoked = await revokeSessions(req.user.id, { _id: req.params.id });
+        if (revoked === 0) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to revoke session. Please try again." });
+    }
+})
+
+// ROUTE 10: Revoke all of the user's sessions, the current one included unless
+// keepCurrent=true is passed
+router.delete('/revoke-all-sessions', fetchuser, async (req, res) => {
+    try {
+        const filter = req.query.keepCurrent === "true" ? { _id: { $ne: req.user.sessionId } } : {};
+        const revoked = await revokeSessions(req.user.id, filter);
+        res.status(200).json({ success: true, revoked });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to revoke sessions. Please try again." });
+    }
+})
+
+// ROUTE 11: Email a password reset link. The answer is the same whether or not
+// an account uses the email, so it can't be used to find accounts.
+router.post('/request-password-reset', [body('email', 'Please enter a valid email').isEmail()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array() });
+    }
+    try {
+        const user = await User.findOne({ email: req.body.email }).select("name email").lean();
+        if (user && !(await isInCooldown(user._id, "password-reset"))) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (error) {
+                console.error("Failed to send password reset email:", error);
+            }
+        }
+        res.status(200).json({ success: true, message: "If an account uses this email, a reset link is on its way." });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to request password reset. Please try again." });
+    }
+})
+
+// ROUTE 12: Set a new password with a reset token, signing out every session
+router.post('/confirm-password-reset', passwordRules, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array() });
+    }
+    try {
+        const userId = await consumeAccountToken(req.body.token, "password-reset");
+        if (!userId) {
+            return res.status(400).json({ error: "This reset link is invalid or has expired. Please request a new one." });
+        }
+        const salt = await bcrypt.genSalt(10);
+        const newPasswordHash = await bcrypt.hash(req.body.newPassword, salt);
+        await User.updateOne({ _id: userId }, { $set: { password: newPasswordHash } });
+        // Opening the emailed link proves the email belongs to the user
+        await User.updateOne({ _id: userId, emailVerified: false }, { $set: { emailVerified: true } });
+        await revokeSessions(userId);
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to reset password. Please try again." });
+    }
+})
+
+// ROUTE 13: Verify the user's email with the token emailed to them
+router.post('/verify-email', async (req, res) => {
+    try {
+        const userId = await consumeAccountToken(req.body.token, "email-verification");
+        if (!userId) {
+            return res.status(400).json({ error: "This verification link is invalid or has expired. Please request a new one." });
+        }
+        await User.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to verify email. Please try again." });
+    }
+})
+
+// ROUTE 14: Send the verification email again
+router.post('/resend-verification', fetchuser, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select("name email emailVerified").lean();
+        if (!isEmailUnverified(user)) {
+            return res.status(400).json({ error: "Your email is already verified" });
+        }
+        if (await isInCooldown(user._id, "email-verification")) {
+            return res.status(429).json({ error: "Please wait a minute before requesting another email" });
+        }
+        await sendVerificationEmail(user);
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to send verification email. Please try again." });
+    }
+})
+
 export default router;
\ No newline at end of file
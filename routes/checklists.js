@@ -0,0 +1,222 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Note } from "../models/Note.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId, checkNoteAccess, checkNoteText, checkChecklistItems, checkChecklistItemText, getExpectedVersion, NOTE_TYPES } from "../middlewares/validation.js";
+import { decryptNote, encryptNote, encryptChecklistItem, loadTagNames, handleError, checkNoteVersion, updateNoteIfCurrent, setNoteETag, getNoteDataKey } from "../utils/noteUtils.js";
+import { buildSearchIndex } from "../utils/searchIndex.js";
+import { saveRevision } from "../utils/revisions.js";
+import { saveNoteLinks } from "../utils/noteLinks.js";
+
+const router = express.Router();
+
+// Run input checks, reporting their errors as bad requests
+const checkInput = (checks) => {
+  try {
+    checks();
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+};
+
+// Load a note the user owns or edits at the version the client expects, with
+// its owner and the key it is encrypted with
+const findEditableNote = async (req) => {
+  validateObjectId(req.params.id);
+  const expectedVersion = getExpectedVersion(req);
+  const note = await Note.findById(req.params.id);
+  checkNoteAccess(note, req.space.id, "editor");
+  const dataKey = await getNoteDataKey(note, req.space.id, req.dataKey);
+  await checkNoteVersion(note, expectedVersion, dataKey);
+  return { note, expectedVersion, ownerId: note.user.toString(), dataKey };
+};
+
+// Load a checklist note the user owns or edits at the version the client expects
+const findEditableChecklist = async (req) => {
+  const found = await findEditableNote(req);
+  if (found.note.type !== "checklist") {
+    throw new Error("Note is not a checklist");
+  }
+  return found;
+};
+
+// Check that a checklist has an item with the given id
+const checkItemExists = (note, itemId) => {
+  validateObjectId(itemId, "Invalid checklist item ID format");
+  if (!note.items.id(itemId)) {
+    throw new Error("Checklist item not found");
+  }
+};
+
+// Keep the current note as a revision and rebuild its search index for the new items
+const reviseItems = async (note, items, dataKey) => {
+  await saveRevision(note);
+  const decrypted = decryptNote(note.toObject(), dataKey, new Map());
+  return buildSearchIndex({ ...decrypted, items }, dataKey);
+};
+
+// Set the checked state of one item, without a revision or a new modified time
+const setItemChecked = async (req, res, checked) => {
+  const { note, expectedVersion, ownerId } = await findEditableChecklist(req);
+  checkItemExists(note, req.params.itemId);
+  const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion,
+    { $set: { "items.$[item].checked": checked } },
+    { arrayFilters: [{ "item._id": new mongoose.Types.ObjectId(req.params.itemId) }], timestamps: false }
+  );
+  setNoteETag(res, updatedNote);
+  res.status(200).json({ success: true, version: updatedNote.version });
+};
+
+// ROUTE 1: Add an item to the end of a checklist
+router.post("/add-item/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { text, checked = false } = req.body;
+    const { note, expectedVersion, ownerId, dataKey } = await findEditableChecklist(req);
+    checkInput(() => checkChecklistItems([{ text, checked }], note.items.length));
+    const item = { _id: new mongoose.Types.ObjectId(), text, checked: checked === true };
+    const decryptedItems = decryptNote(note.toObject(), dataKey, new Map()).items;
+    const searchIndex = await reviseItems(note, [...decryptedItems, item], dataKey);
+    const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion, {
+      $push: { items: encryptChecklistItem(dataKey)(item) },
+      $set: searchIndex
+    });
+    setNoteETag(res, updatedNote);
+    res.status(201).json({ success: true, version: updatedNote.version, item });
+  } catch (error) {
+    handleError(error, res, "Failed to add checklist item. Please try again");
+  }
+});
+
+// ROUTE 2: Change the text of a checklist item
+router.put("/edit-item/:id/:itemId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { text } = req.body;
+    checkInput(() => checkChecklistItemText(text));
+    const { note, expectedVersion, ownerId, dataKey } = await findEditableChecklist(req);
+    checkItemExists(note, req.params.itemId);
+    const decryptedItems = decryptNote(note.toObject(), dataKey, new Map()).items;
+    const current = decryptedItems.find(item => item._id.toString() === req.params.itemId);
+    if (current.text === text) {
+      setNoteETag(res, note);
+      return res.status(200).json({
+        success: true,
+        message: "Checklist item already has this text",
+        version: note.version
+      });
+    }
+    const items = decryptedItems.map(item => (item === current ? { ...item, text } : item));
+    const searchIndex = await reviseItems(note, items, dataKey);
+    const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion,
+      { $set: { "items.$[item].text": encryptChecklistItem(dataKey)({ text }).text, ...searchIndex } },
+      { arrayFilters: [{ "item._id": current._id }] }
+    );
+    setNoteETag(res, updatedNote);
+    res.status(200).json({ success: true, version: updatedNote.version });
+  } catch (error) {
+    handleError(error, res, "Failed to edit checklist item. Please try again");
+  }
+});
+
+// ROUTE 3: Reorder checklist items, itemIds must list every item exactly once
+router.put("/reorder-items/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const { note, expectedVersion, ownerId } = await findEditableChecklist(req);
+    const currentIds = note.items.map(item => item._id.toString());
+    const isPermutation = Array.isArray(itemIds)
+      && itemIds.length === currentIds.length
+      && new Set(itemIds.map(String)).size === currentIds.length
+      && itemIds.every(id => currentIds.includes(String(id)));
+    if (!isPermutation) {
+      return res.status(400).json({ error: "Item IDs must list every checklist item exactly once" });
+    }
+    const items = itemIds.map(id => note.items.id(id).toObject());
+    const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion, { $set: { items } });
+    setNoteETag(res, updatedNote);
+    res.status(200).json({ success: true, version: updatedNote.version });
+  } catch (error) {
+    handleError(error, res, "Failed to reorder checklist items. Please try again");
+  }
+});
+
+// ROUTE 4: Check a checklist item
+router.put("/check-item/:id/:itemId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    await setItemChecked(req, res, true);
+  } catch (error) {
+    handleError(error, res, "Failed to check checklist item. Please try again");
+  }
+});
+
+// ROUTE 5: Uncheck a checklist item
+router.put("/uncheck-item/:id/:itemId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    await setItemChecked(req, res, false);
+  } catch (error) {
+    handleError(error, res, "Failed to uncheck checklist item. Please try again");
+  }
+});
+
+// ROUTE 6: Remove an item from a checklist
+router.delete("/delete-item/:id/:itemId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, expectedVersion, ownerId, dataKey } = await findEditableChecklist(req);
+    checkItemExists(note, req.params.itemId);
+    const items = decryptNote(note.toObject(), dataKey, new Map()).items
+      .filter(item => item._id.toString() !== req.params.itemId);
+    const searchIndex = await reviseItems(note, items, dataKey);
+    const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion, {
+      $pull: { items: { _id: new mongoose.Types.ObjectId(req.params.itemId) } },
+      $set: searchIndex
+    });
+    setNoteETag(res, updatedNote);
+    res.status(200).json({ success: true, version: updatedNote.version });
+  } catch (error) {
+    handleError(error, res, "Failed to delete checklist item. Please try again");
+  }
+});
+
+// ROUTE 7: Convert a note between text and checklist. Each non-empty line of
+// the content becomes an unchecked item, and the items' text becomes one line each.
+router.put("/convert-note/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { type } = req.body;
+    if (!NOTE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid note type. Must be one of: ${NOTE_TYPES.join(", ")}` });
+    }
+    const { note, expectedVersion, ownerId, dataKey } = await findEditableNote(req);
+    // Labels belong to the note owner, who may be another user for a shared note
+    const tagNames = await loadTagNames(ownerId, dataKey);
+    if ((note.type ?? "text") === type) {
+      setNoteETag(res, note);
+      return res.status(200).json(decryptNote(note.toObject(), dataKey, tagNames));
+    }
+    const decrypted = decryptNote(note.toObject(), dataKey, tagNames);
+    const converted = type === "checklist"
+      ? {
+        title: decrypted.title,
+        content: "",
+        items: decrypted.content.split("\n").map(line => line.trim()).filter(Boolean).map(text => ({ text, checked: false }))
+      }
+      : { title: decrypted.title, content: decrypted.items.map(item => item.text).join("\n"), items: [] };
+    checkInput(() => checkNoteText({ ...converted, type }));
+    await saveRevision(note);
+    const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion, {
+      $set: {
+        type,
+        ...encryptNote({ content: converted.content, items: converted.items }, dataKey),
+        ...buildSearchIndex({ ...decrypted, ...converted }, dataKey)
+      }
+    });
+    await saveNoteLinks(ownerId, note._id, converted.content, dataKey);
+    setNoteETag(res, updatedNote);
+    res.status(200).json(decryptNote(updatedNote, dataKey, tagNames));
+  } catch (error) {
+    handleError(error, res, "Failed to convert note. Please try again");
+  }
+});
+
+export default router;
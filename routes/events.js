@@ -0,0 +1,109 @@
+import express from "express";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { decryptNote, loadTagNames } from "../utils/noteUtils.js";
+import { decrypt } from "../utils/encryption.js";
+import { getDataKey } from "../utils/dataKeys.js";
+import { subscribeUserEvents } from "../utils/events.js";
+
+const router = express.Router();
+
+// Comment line sent regularly so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// EventSource can't send headers, so the token may also come as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header("auth-token") && typeof req.query.token === "string") {
+    req.headers["auth-token"] = req.query.token;
+  }
+  next();
+};
+
+// Decrypt the note or label an event carries for this session. Label events also
+// update the session's label names, so later notes resolve renamed labels.
+const decryptEvent = (event, dataKey, tagNames) => {
+  if (event.type === "tag.deleted") {
+    tagNames.delete(event.tagId);
+  }
+  if (event.note) {
+    return { ...event, note: decryptNote(event.note, dataKey, tagNames) };
+  }
+  if (event.tag) {
+    const name = decrypt(event.tag.name, dataKey);
+    tagNames.set(event.tag._id, name);
+    return { ...event, tag: { ...event.tag, name } };
+  }
+  return event;
+};
+
+// Decrypt the event of a note another user shares with this one, with the key
+// and labels of the note's owner
+const decryptSharedNoteEvent = async (event) => {
+  const ownerId = event.note.user.toString();
+  const dataKey = await getDataKey(ownerId);
+  return { ...event, note: decryptNote(event.note, dataKey, await loadTagNames(ownerId, dataKey)) };
+};
+
+// Whether an event ends the user's access to the workspace they stream
+const revokesAccess = (event, userId) => {
+  return event.type === "workspace.deleted" || (event.type === "workspace.member.removed" && event.userId === userId);
+};
+
+// ROUTE 1: Stream the note and label changes of the user's personal space, or of a
+// workspace given as the workspace query parameter, as Server-Sent Events
+router.get("/", tokenFromQuery, fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  // The close listener goes on before anything is awaited, so a client leaving while
+  // the stream opens doesn't keep its subscriptions. Cleanups added after it run at once.
+  let closed = false;
+  const cleanups = [];
+  const onClose = (cleanup) => (closed ? cleanup() : cleanups.push(cleanup));
+  req.on("close", () => {
+    closed = true;
+    cleanups.forEach(cleanup => cleanup());
+  });
+  let tagNames;
+  try {
+    tagNames = await loadTagNames(req.space.id, req.dataKey);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to open event stream. Please try again" });
+  }
+  if (closed) return;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+  // Events are written one after another, so they keep their order while a shared
+  // note waits for its owner's key
+  let sending = Promise.resolve();
+  onClose(await subscribeUserEvents(req.space.id, (event) => {
+    sending = sending.then(async () => {
+      if (res.writableEnded) return;
+      try {
+        const data = event.note && event.note.user.toString() !== req.space.id
+          ? await decryptSharedNoteEvent(event)
+          : decryptEvent(event, req.dataKey, tagNames);
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+      } catch (error) {
+        console.error("Failed to send event:", error);
+      }
+      // A removed member stops receiving the workspace's changes straight away
+      if (revokesAccess(event, req.user.id)) {
+        res.end();
+      }
+    });
+  }));
+  // Revoking the session that opened the stream ends it, whichever space it follows
+  onClose(await subscribeUserEvents(req.user.id, (event) => {
+    if (event.type === "session.revoked" && event.sessionId === req.user.sessionId) {
+      res.end();
+    }
+  }));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+  onClose(() => clearInterval(heartbeat));
+});
+
+export default router;
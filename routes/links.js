@@ -0,0 +1,75 @@
+import express from "express";
+import { Note } from "../models/Note.js";
+import { NoteLink } from "../models/NoteLink.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId, checkNoteOwnership } from "../middlewares/validation.js";
+import { handleError } from "../utils/noteUtils.js";
+import { decrypt } from "../utils/encryption.js";
+import { resolveNoteLinks } from "../utils/noteLinks.js";
+
+const router = express.Router();
+
+// Load a note the user owns, with the token of its title. Links resolve among
+// the owner's notes, so collaborators on a shared note don't see them.
+const findOwnedNote = async (noteId, userId) => {
+  validateObjectId(noteId);
+  const note = await Note.findById(noteId).select("user title isDeleted +titleToken").lean();
+  checkNoteOwnership(note, userId);
+  return note;
+};
+
+// ROUTE 1: Fetch the notes a note links to, broken links included
+router.get("/fetch-links/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const note = await findOwnedNote(req.params.id, req.space.id);
+    const links = await NoteLink.find({ source: note._id }).sort({ _id: 1 }).lean();
+    const resolved = await resolveNoteLinks(req.space.id, links, req.dataKey);
+    res.status(200).json(resolved.map(({ source, ...link }) => link));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch links. Please try again");
+  }
+});
+
+// ROUTE 2: Fetch the notes outside the bin that link to a note
+router.get("/fetch-backlinks/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const note = await findOwnedNote(req.params.id, req.space.id);
+    const candidates = await NoteLink.find({
+      user: req.space.id,
+      $or: [{ target: note._id }, ...(note.titleToken ? [{ titleToken: note.titleToken }] : [])]
+    }).lean();
+    // A title link only counts if it resolves to this note and not another with the same title
+    const resolved = await resolveNoteLinks(req.space.id, candidates, req.dataKey);
+    const sourceIds = resolved.filter(link => link.target?.toString() === note._id.toString()).map(link => link.source);
+    const sources = await Note.find({ _id: { $in: sourceIds }, user: req.space.id, isDeleted: false })
+      .select("title")
+      .sort({ updatedAt: -1 })
+      .lean();
+    res.status(200).json(sources.map(source => ({ _id: source._id, title: decrypt(source.title, req.dataKey) })));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch backlinks. Please try again");
+  }
+});
+
+// ROUTE 3: Fetch the user's note graph. Nodes are the notes outside the bin,
+// edges the links between them, and broken lists links to binned or missing notes.
+router.get("/fetch-note-graph", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const notes = await Note.find({ user: req.space.id, isDeleted: false }).select("title").lean();
+    const nodeIds = new Set(notes.map(note => note._id.toString()));
+    const links = (await NoteLink.find({ user: req.space.id }).sort({ _id: 1 }).lean())
+      .filter(link => nodeIds.has(link.source.toString()));
+    const resolved = await resolveNoteLinks(req.space.id, links, req.dataKey);
+    res.status(200).json({
+      nodes: notes.map(note => ({ _id: note._id, title: decrypt(note.title, req.dataKey) })),
+      edges: resolved.filter(link => !link.broken).map(({ source, target }) => ({ source, target })),
+      broken: resolved.filter(link => link.broken)
+    });
+  } catch (error) {
+    handleError(error, res, "Failed to fetch note graph. Please try again");
+  }
+});
+
+export default router;
@@ -1,251 +1,353 @@
 import express from "express";
 import mongoose from 'mongoose';
 import { Note } from "../models/Note.js";
+import { Tag } from "../models/Tag.js";
+import { ReminderDelivery } from "../models/ReminderDelivery.js";
 import fetchuser from "../middlewares/fetchuser.js";
-import { validateObjectId, checkNoteOwnership, noteTextValidation, colourValidation, handleValidationErrors, tagArrayValidation } from "../middlewares/validation.js";
-import { decryptNote, encryptNote, buildCategoryFilter, handleError } from "../utils/noteUtils.js";
-import { encrypt } from "../utils/encryption.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import requireSpaceRole, { checkSpaceRole } from "../middlewares/requireSpaceRole.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId, checkNoteOwnership, checkNoteAccess, getNoteRole, noteTextValidation, colourValidation, handleValidationErrors, tagArrayValidation, reminderValidation, checklistItemsValidation, noteFilesValidation, languageValidation, getExpectedVersion } from "../middlewares/validation.js";
+import { decryptNote, encryptNote, loadTagNames, buildCategoryFilter, ALLOWED_CATEGORIES, handleError, checkNoteVersion, updateNoteIfCurrent, setNoteETag, getNoteDataKey } from "../utils/noteUtils.js";
+import { getDataKey } from "../utils/dataKeys.js";
+import { parseSearchQuery, buildSearchQuery, matchesSearchQuery, mentionsTrashed } from "../utils/searchQuery.js";
+import { collectDescendantIds } from "../utils/tagTree.js";
+import { parsePaginationParams, paginateNotes, REMINDER_SORT_OPTIONS } from "../utils/pagination.js";
+import { isContentChanged, saveRevision } from "../utils/revisions.js";
+import { createNote, updateNote, permanentlyDeleteNote, purgeNotes, applyBulkAction, BULK_ACTIONS } from "../utils/noteOperations.js";
+import { getBinDaysLeft } from "../utils/binPurge.js";
+import { LANGUAGE_PATTERN, buildLanguageFilter } from "../utils/languages.js";
+import { revokeShareLinks } from "../utils/shareLinks.js";
 
 const router = express.Router();
 
-const ALLOWED_CATEGORIES = ["pinned", "archived", "deleted", "regular"];
+const EMPTY_PAGE = { notes: [], nextCursor: null };
+const MAX_BULK_NOTES = 100;
+const REMINDER_LOG_LIMIT = 100;
 
-// ROUTE 1: Fetch all notes
-router.get("/fetch-notes", fetchuser, async (req, res) => {
+// ROUTE 1: Fetch a page of notes in a category
+router.get("/fetch-notes", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
   try {
     const { filter = "" } = req.query;
-    // Allow empty string for regular notes, or valid categories
-    const allowedFilters = [...ALLOWED_CATEGORIES.filter(c => c !== "regular"), ""];
+    const language = req.query.language?.trim().toLowerCase();
+    // Allow empty string for regular notes, valid categories, upcoming reminders or notes shared with the user
+    const allowedFilters = [...ALLOWED_CATEGORIES.filter(c => c !== "regular"), "reminders", "shared", ""];
     if (!allowedFilters.includes(filter)) {
       return res.status(400).json({
-        error: "Invalid filter. Must be one of: pinned, archived, deleted or none"
+        error: "Invalid filter. Must be one of: pinned, archived, deleted, reminders, shared or none"
       });
     }
-    const query = buildCategoryFilter(filter, req.user.id);
-    // Sort by order ascending (0 at top, higher numbers below)
-    const notes = await Note.find(query).lean().sort({ updatedAt: -1 });
-    // Decrypt notes
-    const decryptedNotes = notes.map(decryptNote);
-    res.status(200).json(decryptedNotes);
+    if (language && !LANGUAGE_PATTERN.test(language)) {
+      return res.status(400).json({ error: "Invalid language" });
+    }
+    let pagination;
+    let query;
+    let owners;
+    if (filter === "shared") {
+      // Other users' notes the user collaborates on, decrypted with each owner's
+      // key and showing the owner's labels
+      pagination = parsePaginationParams(req.query, req.dataKey);
+      query = { "collaborators.user": req.user.id, isDeleted: false };
+      owners = new Map();
+      for (const ownerId of await Note.distinct("user", query)) {
+        const dataKey = await getDataKey(ownerId.toString());
+        owners.set(ownerId.toString(), { dataKey, tagNames: await loadTagNames(ownerId, dataKey) });
+      }
+    } else if (filter === "reminders") {
+      // Notes outside the bin with a pending reminder, soonest first by default
+      pagination = parsePaginationParams({ sort: "reminder", ...req.query }, req.dataKey, REMINDER_SORT_OPTIONS);
+      query = { user: req.space.id, isDeleted: false, reminderAt: { $ne: null } };
+    } else {
+      pagination = parsePaginationParams(req.query, req.dataKey);
+      query = buildCategoryFilter(filter, req.space.id);
+    }
+    // Narrow to code snippets in one language
+    if (language) {
+      query = { $and: [query, buildLanguageFilter(language)] };
+    }
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    const page = await paginateNotes(query, pagination, req.dataKey, tagNames, undefined, owners);
+    // Tell how long binned notes have before they are purged
+    if (filter === "deleted") {
+      page.notes = page.notes.map(note => ({ ...note, daysLeft: getBinDaysLeft(note) }));
+    }
+    // Tell collaborators what they may do with each shared note
+    if (filter === "shared") {
+      page.notes = page.notes.map(note => ({ ...note, role: getNoteRole(note, req.user.id) }));
+    }
+    res.status(200).json(page);
   } catch (error) {
     handleError(error, res, "Failed to fetch notes. Please reload the page");
   }
 });
 
-// ROUTE 2: Search notes by title, content, or tag
-router.get("/search", fetchuser, async (req, res) => {
+// ROUTE 2: Search notes with the query language in utils/searchQuery.js
+router.get("/search", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
   try {
-    const searchText = req.query.text?.toLowerCase().trim();
-    // Return empty array if searchText is empty
+    const pagination = parsePaginationParams(req.query, req.dataKey);
+    const searchText = req.query.text?.trim();
+    // Return an empty page if there is nothing to search for
     if (!searchText) {
-      return res.status(200).json([]);
-    }
-    const notes = await Note.find({
-      user: req.user.id,
-      isDeleted: false
-    }).lean().sort({ updatedAt: -1 });
-    // Decrypt notes first, then filter
-    const decryptedNotes = notes.map(decryptNote);
-    const filteredNotes = decryptedNotes.filter(note => {
-      const titleMatch = note.title.toLowerCase().includes(searchText);
-      const contentMatch = note.content.toLowerCase().includes(searchText);
-      const tagMatch = note.tag?.some(t => t.toLowerCase().includes(searchText));
-      return titleMatch || contentMatch || tagMatch;
-    });
-    res.status(200).json(filteredNotes);
+      return res.status(200).json(EMPTY_PAGE);
+    }
+    const ast = parseSearchQuery(searchText);
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    // Trashed notes are only searched when the query asks for them
+    const scope = mentionsTrashed(ast) ? { user: req.space.id } : { user: req.space.id, isDeleted: false };
+    const query = buildSearchQuery(ast, scope, { dataKey: req.dataKey, tagNames });
+    // Decrypt candidates, then evaluate the whole query on them
+    const page = await paginateNotes(query, pagination, req.dataKey, tagNames, note => matchesSearchQuery(ast, note));
+    res.status(200).json(page);
   } catch (error) {
     handleError(error, res, "Failed to search notes. Please reload the page or try again");
   }
 });
 
 // ROUTE 3: Search notes by tag name
-router.get("/search-by-tag", fetchuser, async (req, res) => {
+router.get("/search-by-tag", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  // Read before the try block, the error message names the label
+  const searchTag = typeof req.query.tagName === "string" ? req.query.tagName.trim() : undefined;
   try {
-    const searchTag = req.query.tagName?.trim();
-    // Return empty array if searchTag is empty
+    const pagination = parsePaginationParams(req.query, req.dataKey);
+    // Return an empty page if searchTag is empty
     if (!searchTag) {
-      return res.status(200).json([]);
-    }
-    const notes = await Note.find({
-      user: req.user.id,
-      isDeleted: false
-    }).lean().sort({ updatedAt: -1 });
-    // Decrypt notes first, then filter
-    const decryptedNotes = notes.map(decryptNote);
-    const filteredNotes = decryptedNotes.filter(note => note.tag?.includes(searchTag));
-    res.status(200).json(filteredNotes);
+      return res.status(200).json(EMPTY_PAGE);
+    }
+    // Look up the label by name, then its notes by id
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    const tagId = [...tagNames].find(([, name]) => name === searchTag)?.[0];
+    if (!tagId) {
+      return res.status(200).json(EMPTY_PAGE);
+    }
+    // With includeDescendants, notes carrying any label nested below it match too
+    let tagIds = [tagId];
+    if (req.query.includeDescendants === "true") {
+      const tags = await Tag.find({ user: req.space.id }).select("parent").lean();
+      tagIds = collectDescendantIds(tags, tagId);
+    }
+    const query = {
+      user: req.space.id,
+      isDeleted: false,
+      tag: { $in: tagIds }
+    };
+    const page = await paginateNotes(query, pagination, req.dataKey, tagNames);
+    res.status(200).json(page);
   } catch (error) {
     handleError(error, res, `Failed to find notes with label "${searchTag}". Please reload the page or try again`);
   }
 });
 
 // ROUTE 4: Add a new note for a user
-router.post("/add-note", fetchuser, noteTextValidation, handleValidationErrors, async (req, res) => {
+router.post("/add-note", fetchuser, fetchWorkspace, fetchDataKey, noteTextValidation, languageValidation, tagArrayValidation, reminderValidation, handleValidationErrors, async (req, res) => {
   try {
-    const {
-      title, content, tag,
-      isPinned = false,
-      isArchived = false,
-      isDeleted = false,
-      colour = "default"
-    } = req.body;
-    // Encrypt fields
-    const encryptedFields = encryptNote({ title, content, tag });
-    const note = await Note.create({
-      user: req.user.id,
-      title: encryptedFields.title,
-      content: encryptedFields.content,
-      tag: encryptedFields.tag,
-      isPinned,
-      isArchived,
-      isDeleted,
-      colour,
-    });
-    // Return decrypted note
-    const decryptedNote = decryptNote(note.toObject());
-    res.status(201).json(decryptedNote);
+    const note = await createNote(req.space.id, req.dataKey, req.body);
+    setNoteETag(res, note);
+    res.status(201).json(decryptNote(note, req.dataKey, await loadTagNames(req.space.id, req.dataKey)));
   } catch (error) {
     handleError(error, res, "Failed to add note. Please try again");
   }
 });
 
 // ROUTE 5: Update an edited note for a user
-router.put("/update-note/:id", fetchuser, colourValidation, handleValidationErrors, async (req, res) => {
+router.put("/update-note/:id", fetchuser, fetchWorkspace, fetchDataKey, colourValidation, tagArrayValidation, reminderValidation, checklistItemsValidation, noteFilesValidation, languageValidation, handleValidationErrors, async (req, res) => {
   try {
-    validateObjectId(req.params.id);
-    const prevNote = await Note.findById(req.params.id);
-    checkNoteOwnership(prevNote, req.user.id);
-    // Prepare allowed fields and updates
-    const allowedFields = ['title', 'content', 'tag', 'isPinned', 'isArchived', 'isDeleted', 'colour'];
-    const updatedNote = Object.fromEntries(
-      Object.entries(req.body)
-        .filter(([key, value]) => allowedFields.includes(key) && value !== undefined)
-    );
-    // Encrypt sensitive fields
-    const encryptedUpdates = encryptNote(updatedNote);
-    Object.assign(updatedNote, encryptedUpdates);
-    const isNoteChanged = !(prevNote.title === updatedNote.title && prevNote.content === updatedNote.content && prevNote.isPinned === updatedNote.isPinned && prevNote.isArchived === updatedNote.isArchived && prevNote.isDeleted === updatedNote.isDeleted);
-    // Update note with validation
-    await Note.findByIdAndUpdate(req.params.id, { $set: updatedNote }, { timestamps: isNoteChanged });
-    res.status(200).json({ success: true });
+    const expectedVersion = getExpectedVersion(req);
+    const savedNote = await updateNote(req.space.id, req.dataKey, req.params.id, req.body, expectedVersion);
+    setNoteETag(res, savedNote);
+    res.status(200).json({ success: true, version: savedNote.version });
   } catch (error) {
     handleError(error, res, "Failed to update note. Please try again");
   }
 });
 
 // ROUTE 6: Toggle pin status of a note
-router.put("/toggle-pin/:id", fetchuser, async (req, res) => {
+router.put("/toggle-pin/:id", fetchuser, fetchWorkspace, async (req, res) => {
   try {
     validateObjectId(req.params.id);
-    const note = await Note.findById(req.params.id);
-    checkNoteOwnership(note, req.user.id);
-    let updates = {};
-    if (note.isPinned) {
-      updates.isPinned = false;
-    } else {
-      updates.isPinned = true;
-      updates.isArchived = false;
-    }
-    await Note.findByIdAndUpdate(req.params.id, { $set: updates });
-    res.status(200).json({ success: true });
+    const expectedVersion = getExpectedVersion(req);
+    // Pinning un-archives the note, evaluated atomically against the stored state
+    const note = await updateNoteIfCurrent(req.params.id, req.space.id, expectedVersion, [{
+      $set: {
+        isPinned: { $not: "$isPinned" },
+        isArchived: { $cond: ["$isPinned", "$isArchived", false] },
+        updatedAt: "$$NOW"
+      }
+    }], { timestamps: false });
+    setNoteETag(res, note);
+    res.status(200).json({ success: true, version: note.version });
   } catch (error) {
     handleError(error, res, "Failed to toggle pin. Please try again");
   }
 });
 
 // ROUTE 7: Toggle archive status of a note
-router.put("/toggle-archive/:id", fetchuser, async (req, res) => {
+router.put("/toggle-archive/:id", fetchuser, fetchWorkspace, async (req, res) => {
   try {
     validateObjectId(req.params.id);
-    const note = await Note.findById(req.params.id);
-    checkNoteOwnership(note, req.user.id);
-    let updates = {};
-    if (note.isArchived) {
-      updates.isArchived = false;
-    } else {
-      updates.isArchived = true;
-      updates.isPinned = false;
-    }
-    await Note.findByIdAndUpdate(req.params.id, { $set: updates });
-    res.status(200).json({ success: true });
+    const expectedVersion = getExpectedVersion(req);
+    // Archiving unpins the note, evaluated atomically against the stored state
+    const note = await updateNoteIfCurrent(req.params.id, req.space.id, expectedVersion, [{
+      $set: {
+        isArchived: { $not: "$isArchived" },
+        isPinned: { $cond: ["$isArchived", "$isPinned", false] },
+        updatedAt: "$$NOW"
+      }
+    }], { timestamps: false });
+    setNoteETag(res, note);
+    res.status(200).json({ success: true, version: note.version });
   } catch (error) {
     handleError(error, res, "Failed to toggle archive. Please try again");
   }
 });
 
 // ROUTE 8: Soft delete or restore a note
-router.put("/toggle-delete/:id", fetchuser, async (req, res) => {
+router.put("/toggle-delete/:id", fetchuser, fetchWorkspace, async (req, res) => {
   try {
     validateObjectId(req.params.id);
-    const note = await Note.findById(req.params.id);
-    checkNoteOwnership(note, req.user.id);
-    let updates = {};
+    const expectedVersion = getExpectedVersion(req);
+    // Moving to the bin clears the pin and archive flags, evaluated atomically against the stored state
+    const note = await updateNoteIfCurrent(req.params.id, req.space.id, expectedVersion, [{
+      $set: {
+        isDeleted: { $not: "$isDeleted" },
+        isPinned: { $cond: ["$isDeleted", "$isPinned", false] },
+        isArchived: { $cond: ["$isDeleted", "$isArchived", false] },
+        deletedAt: { $cond: ["$isDeleted", null, "$$NOW"] },
+        updatedAt: "$$NOW"
+      }
+    }], { timestamps: false });
     if (note.isDeleted) {
-      updates.isDeleted = false;
-    } else {
-      updates.isDeleted = true;
-      updates.isPinned = false;
-      updates.isArchived = false;
+      await revokeShareLinks([note._id]);
     }
-    await Note.findByIdAndUpdate(req.params.id, { $set: updates });
-    res.status(200).json({ success: true });
+    setNoteETag(res, note);
+    res.status(200).json({ success: true, version: note.version });
   } catch (error) {
     handleError(error, res, "Failed to toggle delete. Please try again");
   }
 });
 
-// ROUTE 9: Permanently delete a soft deleted note from db
-router.delete("/permanent-delete/:id", fetchuser, async (req, res) => {
+// ROUTE 9: Permanently delete a soft deleted note from db, admins only in a workspace
+router.delete("/permanent-delete/:id", fetchuser, fetchWorkspace, requireSpaceRole("admin"), async (req, res) => {
   try {
-    validateObjectId(req.params.id);
-    const note = await Note.findById(req.params.id);
-    checkNoteOwnership(note, req.user.id);
-    if (!note.isDeleted) {
-      return res.status(400).json({
-        error: "Note must be moved to bin before permanent deletion"
-      });
-    }
-    await Note.findByIdAndDelete(req.params.id);
+    await permanentlyDeleteNote(req.space.id, req.params.id);
     res.status(200).json({ success: true });
   } catch (error) {
     handleError(error, res, "Failed to permanently delete note. Please try again");
   }
 });
 
-// ROUTE 10: Change note colour
-router.put("/change-colour/:id", fetchuser, colourValidation, handleValidationErrors, async (req, res) => {
+// ROUTE 10: Change note colour, editors of a shared note may too
+router.put("/change-colour/:id", fetchuser, fetchWorkspace, fetchDataKey, colourValidation, handleValidationErrors, async (req, res) => {
   try {
     validateObjectId(req.params.id);
+    const expectedVersion = getExpectedVersion(req);
     const note = await Note.findById(req.params.id);
-    checkNoteOwnership(note, req.user.id);
+    checkNoteAccess(note, req.space.id, "editor");
+    await checkNoteVersion(note, expectedVersion, await getNoteDataKey(note, req.space.id, req.dataKey));
     const { colour } = req.body;
     // Check if colour is already the same (optimization)
     if (note.colour === colour) {
+      setNoteETag(res, note);
       return res.status(200).json({
         success: true,
-        message: "Note colour is already set to this value"
+        message: "Note colour is already set to this value",
+        version: note.version
       });
     }
-    await Note.findByIdAndUpdate(req.params.id, { $set: { colour } }, { timestamps: false });
-    res.status(200).json({ success: true });
+    const updatedNote = await updateNoteIfCurrent(req.params.id, note.user.toString(), expectedVersion, { $set: { colour } }, { timestamps: false });
+    setNoteETag(res, updatedNote);
+    res.status(200).json({ success: true, version: updatedNote.version });
   } catch (error) {
     handleError(error, res, "Failed to change note colour. Please try again");
   }
 });
 
-// ROUTE 10: Change note colour
-router.put("/change-tags/:id", fetchuser, tagArrayValidation, handleValidationErrors, async (req, res) => {
+// ROUTE 11: Change note tags
+router.put("/change-tags/:id", fetchuser, fetchWorkspace, fetchDataKey, tagArrayValidation, handleValidationErrors, async (req, res) => {
   try {
     validateObjectId(req.params.id);
+    const expectedVersion = getExpectedVersion(req);
     const note = await Note.findById(req.params.id);
-    checkNoteOwnership(note, req.user.id);
-    let { tag } = req.body;
-    tag = tag.map(t => encrypt(t));
-    await Note.findByIdAndUpdate(req.params.id, { $set: { tag } }, { timestamps: false });
-    res.status(200).json({ success: true });
+    checkNoteOwnership(note, req.space.id);
+    await checkNoteVersion(note, expectedVersion, req.dataKey);
+    const { tag } = encryptNote({ tag: req.body.tag });
+    if (isContentChanged(note.toObject(), { tag })) {
+      await saveRevision(note);
+    }
+    const updatedNote = await updateNoteIfCurrent(req.params.id, req.space.id, expectedVersion, { $set: { tag } }, { timestamps: false });
+    setNoteETag(res, updatedNote);
+    res.status(200).json({ success: true, version: updatedNote.version });
   } catch (error) {
     handleError(error, res, "Failed to change note tags. Please try again");
   }
 });
 
+// ROUTE 12: Apply one action to many notes at once
+router.post("/bulk", fetchuser, fetchWorkspace, colourValidation, tagArrayValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { ids, action, colour, tag } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_NOTES) {
+      return res.status(400).json({ error: `Ids must be a non-empty array of at most ${MAX_BULK_NOTES} note IDs` });
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action. Must be one of: ${BULK_ACTIONS.join(", ")}` });
+    }
+    if (action === "setColour" && !colour) {
+      return res.status(400).json({ error: "Colour is required" });
+    }
+    if ((action === "addLabels" || action === "removeLabels") && !tag?.length) {
+      return res.status(400).json({ error: "At least one label is required" });
+    }
+    // Deleting for good takes an admin in a workspace, like permanent-delete
+    if (action === "purge") checkSpaceRole(req.space, "admin");
+    const results = await applyBulkAction(req.space.id, ids, action, { colour, tag });
+    res.status(200).json({ results });
+  } catch (error) {
+    handleError(error, res, "Failed to update notes. Please try again");
+  }
+});
+
+// ROUTE 13: Permanently delete every note in the bin, admins only in a workspace
+router.delete("/empty-bin", fetchuser, fetchWorkspace, requireSpaceRole("admin"), async (req, res) => {
+  try {
+    const notes = await Note.find({ user: req.space.id, isDeleted: true }).select("_id").lean();
+    await purgeNotes(req.space.id, notes.map(note => note._id));
+    res.status(200).json({ success: true, deleted: notes.length });
+  } catch (error) {
+    handleError(error, res, "Failed to empty the bin. Please try again");
+  }
+});
+
+// ROUTE 14: Fetch the most recent reminders that have fired, the in-app reminder log
+router.get("/fetch-reminder-log", fetchuser, fetchWorkspace, async (req, res) => {
+  try {
+    const deliveries = await ReminderDelivery.find({ user: req.space.id })
+      .select("note dueAt status attempts deliveredAt")
+      .sort({ dueAt: -1 })
+      .limit(REMINDER_LOG_LIMIT)
+      .lean();
+    res.status(200).json(deliveries);
+  } catch (error) {
+    handleError(error, res, "Failed to fetch reminders. Please try again");
+  }
+});
+
+// ROUTE 15: Download one file of a code snippet as plain text, e.g. for curl
+router.get("/raw/:id/:filename", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    validateObjectId(req.params.id);
+    const note = await Note.findById(req.params.id).lean();
+    checkNoteAccess(note, req.space.id);
+    const noteKey = await getNoteDataKey(note, req.space.id, req.dataKey);
+    const file = decryptNote(note, noteKey, new Map()).files.find(f => f.filename === req.params.filename);
+    if (!file) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    res.attachment(file.filename);
+    res.type("text/plain; charset=utf-8");
+    res.status(200).send(file.content);
+  } catch (error) {
+    handleError(error, res, "Failed to download file. Please try again");
+  }
+});
+
 export default router;
\ No newline at end of file
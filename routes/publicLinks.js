@@ -0,0 +1,49 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import { handleError } from "../utils/noteUtils.js";
+import { getDataKey } from "../utils/dataKeys.js";
+import { decrypt } from "../utils/encryption.js";
+import { findActiveShareLink, recordFailedPassword, clearFailedPasswords } from "../utils/shareLinks.js";
+
+const router = express.Router();
+
+// ROUTE 1: Read a note through a public share link, no account needed. Only
+// the title and content are returned. Password protected links take the
+// password in the X-Share-Password header, and are locked for a while after
+// too many wrong ones.
+router.get("/:token", async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+    const found = await findActiveShareLink(req.params.token);
+    // Unknown, expired and revoked links look the same
+    if (!found) {
+      return res.status(404).json({ error: "Link not found or expired" });
+    }
+    const { link, note } = found;
+    if (link.password) {
+      const password = req.get("X-Share-Password");
+      if (!password) {
+        return res.status(401).json({ error: "Password required" });
+      }
+      const now = new Date();
+      if (link.lockedUntil && link.lockedUntil > now) {
+        res.set("Retry-After", String(Math.ceil((link.lockedUntil - now) / 1000)));
+        return res.status(429).json({ error: "Too many incorrect passwords. Please try again later" });
+      }
+      if (!(await bcrypt.compare(password, link.password))) {
+        await recordFailedPassword(link._id, now);
+        return res.status(401).json({ error: "Incorrect password" });
+      }
+      if (link.failedAttempts > 0) {
+        await clearFailedPasswords(link._id);
+      }
+    }
+    const dataKey = await getDataKey(note.user);
+    res.status(200).json({ title: decrypt(note.title, dataKey), content: decrypt(note.content, dataKey) });
+  } catch (error) {
+    handleError(error, res, "Failed to open share link. Please try again");
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+import express from "express";
+import { Note } from "../models/Note.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId, checkNoteAccess, getExpectedVersion } from "../middlewares/validation.js";
+import { decryptNote, encryptNote, loadTagNames, handleError, checkNoteVersion, updateNoteIfCurrent, setNoteETag, getNoteDataKey } from "../utils/noteUtils.js";
+import { decrypt } from "../utils/encryption.js";
+import { buildSearchIndex } from "../utils/searchIndex.js";
+import { isContentChanged, saveRevision } from "../utils/revisions.js";
+import { diffLines } from "../utils/diff.js";
+import { saveNoteLinks } from "../utils/noteLinks.js";
+
+const router = express.Router();
+
+// Revision id that refers to the note as it is now
+const CURRENT_VERSION = "current";
+
+// Load a note the user has at least the given role on, with the key it is encrypted
+// with. Its labels are the owner's, resolved with that key.
+const findAccessibleNote = async (req, role = "viewer") => {
+  validateObjectId(req.params.id);
+  const note = await Note.findById(req.params.id);
+  checkNoteAccess(note, req.space.id, role);
+  return { note, dataKey: await getNoteDataKey(note, req.space.id, req.dataKey) };
+};
+
+// Load a revision belonging to the given note
+const findRevision = async (noteId, revisionId) => {
+  validateObjectId(revisionId, "Invalid revision ID format");
+  const revision = await NoteRevision.findOne({ _id: revisionId, note: noteId }).lean();
+  if (!revision) {
+    throw new Error("Revision not found");
+  }
+  return revision;
+};
+
+// Decrypt either a revision or, for "current", the note itself
+const loadVersion = async (note, versionId, dataKey, tagNames) => {
+  if (versionId === CURRENT_VERSION) {
+    return decryptNote(note.toObject(), dataKey, tagNames);
+  }
+  return decryptNote(await findRevision(note._id, versionId), dataKey, tagNames);
+};
+
+// Labels of one version that the other version doesn't have
+const missingTags = (version, other) => {
+  return version.tag.filter(t => !other.tag.some(o => o._id.toString() === t._id.toString()));
+};
+
+// Checklist items of a version as one "[x] text" line each, for diffing
+const itemLines = (version) => {
+  return version.items.map(item => `[${item.checked ? "x" : " "}] ${item.text}`).join("\n");
+};
+
+// ROUTE 1: List the revisions of a note, newest first
+router.get("/fetch-revisions/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, dataKey } = await findAccessibleNote(req);
+    const revisions = await NoteRevision.find({ note: note._id })
+      .select("title createdAt")
+      .sort({ createdAt: -1, _id: -1 })
+      .lean();
+    res.status(200).json(revisions.map(r => ({
+      _id: r._id,
+      title: decrypt(r.title, dataKey),
+      createdAt: r.createdAt
+    })));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch note history. Please try again");
+  }
+});
+
+// ROUTE 2: Fetch a single revision of a note
+router.get("/fetch-revision/:id/:revisionId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { note, dataKey } = await findAccessibleNote(req);
+    const revision = await findRevision(note._id, req.params.revisionId);
+    res.status(200).json(decryptNote(revision, dataKey, await loadTagNames(note.user, dataKey)));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch revision. Please try again");
+  }
+});
+
+// ROUTE 3: Line diff between two revisions, either of which can be "current"
+router.get("/diff-revisions/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { from, to = CURRENT_VERSION } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: "Revision to compare from is required" });
+    }
+    const { note, dataKey } = await findAccessibleNote(req);
+    const tagNames = await loadTagNames(note.user, dataKey);
+    const fromVersion = await loadVersion(note, from, dataKey, tagNames);
+    const toVersion = await loadVersion(note, to, dataKey, tagNames);
+    res.status(200).json({
+      from,
+      to,
+      title: { from: fromVersion.title, to: toVersion.title },
+      tag: {
+        added: missingTags(toVersion, fromVersion),
+        removed: missingTags(fromVersion, toVersion)
+      },
+      content: diffLines(fromVersion.content, toVersion.content),
+      items: fromVersion.items.length || toVersion.items.length ? diffLines(itemLines(fromVersion), itemLines(toVersion)) : []
+    });
+  } catch (error) {
+    handleError(error, res, "Failed to compare revisions. Please try again");
+  }
+});
+
+// ROUTE 4: Restore a revision as the current version of a note. Editors of a
+// shared note restore its text, the labels stay the owner's.
+router.put("/restore-revision/:id/:revisionId", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const expectedVersion = getExpectedVersion(req);
+    const { note, dataKey } = await findAccessibleNote(req, "editor");
+    const ownerId = note.user.toString();
+    await checkNoteVersion(note, expectedVersion, dataKey);
+    // Labels deleted since the revision was saved are left out when it is decrypted
+    const tagNames = await loadTagNames(ownerId, dataKey);
+    const revision = decryptNote(await findRevision(note._id, req.params.revisionId), dataKey, tagNames);
+    const restored = {
+      title: revision.title,
+      content: revision.content,
+      type: revision.type,
+      items: revision.items,
+      language: revision.language,
+      files: revision.files,
+      ...(ownerId === req.space.id && { tag: revision.tag.map(t => t._id) })
+    };
+    if (!isContentChanged(decryptNote(note.toObject(), dataKey, tagNames), restored)) {
+      return res.status(200).json({
+        success: true,
+        message: "Note already matches this revision"
+      });
+    }
+    // Keep the version being replaced so the restore can be undone
+    await saveRevision(note);
+    const updates = {
+      ...encryptNote(restored, dataKey),
+      type: restored.type,
+      language: restored.language,
+      ...buildSearchIndex(restored, dataKey)
+    };
+    const updatedNote = await updateNoteIfCurrent(note._id, ownerId, expectedVersion, { $set: updates });
+    await saveNoteLinks(ownerId, note._id, restored.content, dataKey);
+    setNoteETag(res, updatedNote);
+    res.status(200).json(decryptNote(updatedNote, dataKey, tagNames));
+  } catch (error) {
+    handleError(error, res, "Failed to restore revision. Please try again");
+  }
+});
+
+export default router;
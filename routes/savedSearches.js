@@ -0,0 +1,162 @@
+import express from "express";
+import { SavedSearch } from "../models/SavedSearch.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId } from "../middlewares/validation.js";
+import { loadTagNames, buildCategoryFilter, handleError, ALLOWED_CATEGORIES } from "../utils/noteUtils.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import { parsePaginationParams, paginateNotes } from "../utils/pagination.js";
+import { parseSearchQuery, buildSearchQuery, matchesSearchQuery, countSearchMatches } from "../utils/searchQuery.js";
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 50;
+const MAX_NAME_LENGTH = 30;
+const MAX_QUERY_LENGTH = 500;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Check the name, query and categories of a saved search. Partial updates only check the fields sent.
+const checkSavedSearchFields = ({ name, query, categories }, partial) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw badRequest(`Name must be a non empty string with not more than ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (query !== undefined) {
+    if (typeof query !== "string" || query.length > MAX_QUERY_LENGTH) {
+      throw badRequest(`Query must be a string with not more than ${MAX_QUERY_LENGTH} characters`);
+    }
+    // Reject queries /search would reject, with the position of the problem
+    if (query.trim()) parseSearchQuery(query.trim());
+  }
+  if (categories !== undefined) {
+    if (!Array.isArray(categories) || categories.length === 0 || categories.some(c => !ALLOWED_CATEGORIES.includes(c))) {
+      throw badRequest(`Categories must be a non-empty array of: ${ALLOWED_CATEGORIES.join(", ")}`);
+    }
+  }
+};
+
+// Load a saved search and check that it belongs to the space of the request
+const findOwnedSavedSearch = async (id, ownerId) => {
+  validateObjectId(id, "Invalid saved search ID format");
+  const savedSearch = await SavedSearch.findById(id).lean();
+  if (!savedSearch) {
+    throw new Error("Saved search not found");
+  }
+  if (savedSearch.user.toString() !== ownerId) {
+    throw new Error("Access denied");
+  }
+  return savedSearch;
+};
+
+const decryptSavedSearch = (savedSearch, dataKey) => ({
+  ...savedSearch,
+  name: decrypt(savedSearch.name, dataKey),
+  query: decrypt(savedSearch.query, dataKey)
+});
+
+// Parse a decrypted saved search and build the MongoDB query over its categories,
+// the same way /search builds it over notes outside the bin
+const prepareSearch = (savedSearch, ownerId, dataKey, tagNames) => {
+  const ast = savedSearch.query.trim() ? parseSearchQuery(savedSearch.query.trim()) : null;
+  const scope = { $or: [...new Set(savedSearch.categories)].map(category => buildCategoryFilter(category, ownerId)) };
+  return { ast, query: buildSearchQuery(ast, scope, { dataKey, tagNames }) };
+};
+
+// Decrypt a saved search and count the notes it matches
+const withMatchCount = async (savedSearch, ownerId, dataKey, tagNames) => {
+  const decrypted = decryptSavedSearch(savedSearch, dataKey);
+  const { ast, query } = prepareSearch(decrypted, ownerId, dataKey, tagNames);
+  return { ...decrypted, matchCount: await countSearchMatches(ast, query, { dataKey, tagNames }) };
+};
+
+// ROUTE 1: Fetch saved searches with their match counts, sorted by name
+router.get("/fetch-saved-searches", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.space.id }).lean();
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    const results = [];
+    for (const savedSearch of savedSearches) {
+      results.push(await withMatchCount(savedSearch, req.space.id, req.dataKey, tagNames));
+    }
+    results.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+    res.status(200).json(results);
+  } catch (error) {
+    handleError(error, res, "Failed to fetch saved searches. Please try again");
+  }
+});
+
+// ROUTE 2: Save a search
+router.post("/add-saved-search", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const { name, query = "", categories } = req.body;
+    checkSavedSearchFields({ name, query, categories }, false);
+    const count = await SavedSearch.countDocuments({ user: req.space.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `Maximum ${MAX_SAVED_SEARCHES} saved searches allowed` });
+    }
+    const created = await SavedSearch.create({
+      user: req.space.id,
+      name: encrypt(name.trim(), req.dataKey),
+      query: encrypt(query.trim(), req.dataKey),
+      categories: categories && [...new Set(categories)]
+    });
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    res.status(201).json(await withMatchCount(created.toObject(), req.space.id, req.dataKey, tagNames));
+  } catch (error) {
+    handleError(error, res, "Failed to save search. Please try again");
+  }
+});
+
+// ROUTE 3: Change the name, query or categories of a saved search
+router.put("/update-saved-search/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    await findOwnedSavedSearch(req.params.id, req.space.id);
+    const { name, query, categories } = req.body;
+    checkSavedSearchFields({ name, query, categories }, true);
+    const updates = {};
+    if (name !== undefined) updates.name = encrypt(name.trim(), req.dataKey);
+    if (query !== undefined) updates.query = encrypt(query.trim(), req.dataKey);
+    if (categories !== undefined) updates.categories = [...new Set(categories)];
+    const updated = await SavedSearch.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true }).lean();
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    res.status(200).json(await withMatchCount(updated, req.space.id, req.dataKey, tagNames));
+  } catch (error) {
+    handleError(error, res, "Failed to update saved search. Please try again");
+  }
+});
+
+// ROUTE 4: Delete a saved search
+router.delete("/delete-saved-search/:id", fetchuser, fetchWorkspace, async (req, res) => {
+  try {
+    await findOwnedSavedSearch(req.params.id, req.space.id);
+    await SavedSearch.findByIdAndDelete(req.params.id);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to delete saved search. Please try again");
+  }
+});
+
+// ROUTE 5: Run a saved search, returning a page of notes and the total match count
+router.get("/run-saved-search/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const savedSearch = decryptSavedSearch(await findOwnedSavedSearch(req.params.id, req.space.id), req.dataKey);
+    const pagination = parsePaginationParams(req.query, req.dataKey);
+    const tagNames = await loadTagNames(req.space.id, req.dataKey);
+    const { ast, query } = prepareSearch(savedSearch, req.space.id, req.dataKey, tagNames);
+    const match = ast ? note => matchesSearchQuery(ast, note) : undefined;
+    const page = await paginateNotes(query, pagination, req.dataKey, tagNames, match);
+    const matchCount = await countSearchMatches(ast, query, { dataKey: req.dataKey, tagNames });
+    res.status(200).json({ ...page, matchCount });
+  } catch (error) {
+    handleError(error, res, "Failed to run saved search. Please try again");
+  }
+});
+
+export default router;
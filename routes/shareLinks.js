@@ -0,0 +1,99 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import { Note } from "../models/Note.js";
+import { ShareLink } from "../models/ShareLink.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import requireSpaceRole from "../middlewares/requireSpaceRole.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { validateObjectId, checkNoteOwnership } from "../middlewares/validation.js";
+import { handleError } from "../utils/noteUtils.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import { generateShareToken } from "../utils/shareLinks.js";
+
+const router = express.Router();
+
+const MAX_LINKS_PER_NOTE = 20;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+const describeShareLink = (link, dataKey) => {
+  const token = decrypt(link.token, dataKey);
+  return {
+    _id: link._id,
+    note: link.note,
+    token,
+    path: `/s/${token}`,
+    expiresAt: link.expiresAt,
+    hasPassword: Boolean(link.password),
+    createdAt: link.createdAt
+  };
+};
+
+// ROUTE 1: Create a public read-only link to a note, optionally expiring at
+// expiresAt and protected by a password. Admins only in a workspace.
+router.post("/create-share-link/:id", fetchuser, requireVerifiedEmail("sharing"), fetchWorkspace, requireSpaceRole("admin"), fetchDataKey, async (req, res) => {
+  try {
+    const { expiresAt = null, password = null } = req.body;
+    const expiry = expiresAt === null ? null : new Date(expiresAt);
+    if (expiry && (typeof expiresAt !== "string" || Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({ error: "Expiry must be a future ISO 8601 date" });
+    }
+    if (password !== null && (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+      return res.status(400).json({ error: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters` });
+    }
+    validateObjectId(req.params.id);
+    const note = await Note.findById(req.params.id).select("user isDeleted").lean();
+    checkNoteOwnership(note, req.space.id);
+    if (note.isDeleted) {
+      return res.status(400).json({ error: "Notes in the bin can't be shared" });
+    }
+    if (await ShareLink.countDocuments({ note: note._id }) >= MAX_LINKS_PER_NOTE) {
+      return res.status(400).json({ error: `Maximum ${MAX_LINKS_PER_NOTE} share links per note allowed` });
+    }
+    const { token, tokenHash } = generateShareToken();
+    const link = await ShareLink.create({
+      user: req.space.id,
+      note: note._id,
+      tokenHash,
+      token: encrypt(token, req.dataKey),
+      password: password === null ? null : await bcrypt.hash(password, await bcrypt.genSalt(10)),
+      expiresAt: expiry
+    });
+    res.status(201).json(describeShareLink(link.toObject(), req.dataKey));
+  } catch (error) {
+    handleError(error, res, "Failed to create share link. Please try again");
+  }
+});
+
+// ROUTE 2: Fetch the user's active share links, newest first, optionally only those of one note
+router.get("/fetch-share-links", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const query = { user: req.space.id, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+    if (req.query.note !== undefined) {
+      validateObjectId(req.query.note);
+      query.note = req.query.note;
+    }
+    const links = await ShareLink.find(query).select("+password").sort({ createdAt: -1 }).lean();
+    res.status(200).json(links.map(link => describeShareLink(link, req.dataKey)));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch share links. Please try again");
+  }
+});
+
+// ROUTE 3: Revoke a share link, admins only in a workspace
+router.delete("/revoke-share-link/:linkId", fetchuser, fetchWorkspace, requireSpaceRole("admin"), async (req, res) => {
+  try {
+    validateObjectId(req.params.linkId, "Invalid share link ID format");
+    const link = await ShareLink.findOneAndDelete({ _id: req.params.linkId, user: req.space.id });
+    if (!link) {
+      throw new Error("Share link not found");
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to revoke share link. Please try again");
+  }
+});
+
+export default router;
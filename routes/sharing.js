@@ -0,0 +1,121 @@
+import express from "express";
+import { Note } from "../models/Note.js";
+import { User } from "../models/User.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import requireSpaceRole, { checkSpaceRole } from "../middlewares/requireSpaceRole.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import { validateObjectId, checkNoteAccess, getExpectedVersion, NOTE_ROLES } from "../middlewares/validation.js";
+import { handleError, updateNoteIfCurrent, setNoteETag } from "../utils/noteUtils.js";
+import { publishNoteUnshared } from "../utils/events.js";
+
+const router = express.Router();
+
+const MAX_COLLABORATORS = 20;
+
+// Load a note the user has at least the given role on
+const findAccessibleNote = async (noteId, userId, role) => {
+  validateObjectId(noteId);
+  const note = await Note.findById(noteId).lean();
+  checkNoteAccess(note, userId, role);
+  return note;
+};
+
+// The owner and collaborators of a note with their names and emails
+const describeSharing = async (note) => {
+  const ids = [note.user, ...note.collaborators.map(c => c.user)];
+  const users = await User.find({ _id: { $in: ids } }).select("name email").lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  return {
+    owner: usersById.get(note.user.toString()) ?? { _id: note.user },
+    collaborators: note.collaborators.map(c => ({ ...(usersById.get(c.user.toString()) ?? { _id: c.user }), role: c.role })),
+    version: note.version ?? 0
+  };
+};
+
+// Replace the collaborators of a note owned by ownerId and report the new sharing.
+// Removed collaborators are told the note is gone from their shared notes.
+const saveCollaborators = async (req, res, note, collaborators) => {
+  const updatedNote = await updateNoteIfCurrent(note._id, note.user.toString(), getExpectedVersion(req),
+    { $set: { collaborators } },
+    { timestamps: false }
+  );
+  note.collaborators
+    .filter(c => !collaborators.some(kept => kept.user.toString() === c.user.toString()))
+    .forEach(c => publishNoteUnshared(c.user.toString(), note._id));
+  setNoteETag(res, updatedNote);
+  res.status(200).json(await describeSharing(updatedNote));
+};
+
+// ROUTE 1: Fetch who a note is shared with, for the owner and every collaborator
+router.get("/fetch-collaborators/:id", fetchuser, fetchWorkspace, async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req.params.id, req.space.id, "viewer");
+    res.status(200).json(await describeSharing(note));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch collaborators. Please try again");
+  }
+});
+
+// Registered user with an email, ignoring case like workspace invitations do.
+// Accounts whose emails differ only in case are told apart by the exact email.
+const findUserByEmail = async (email) => {
+  const trimmed = email.trim();
+  const users = await User.find({ email: trimmed })
+    .collation({ locale: "en", strength: 2 })
+    .select("_id email")
+    .lean();
+  return users.length === 1 ? users[0] : users.find(user => user.email === trimmed) ?? null;
+};
+
+// ROUTE 2: Share a note with a registered user by email, or change their role.
+// In a workspace only admins may share notes outside it.
+router.put("/share-note/:id", fetchuser, requireVerifiedEmail("sharing"), fetchWorkspace, requireSpaceRole("admin"), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (!NOTE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${NOTE_ROLES.join(", ")}` });
+    }
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+    const note = await findAccessibleNote(req.params.id, req.space.id, "owner");
+    const user = await findUserByEmail(email);
+    if (!user) {
+      throw new Error("No user with this email");
+    }
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ error: "You already own this note" });
+    }
+    const existing = note.collaborators.some(c => c.user.toString() === user._id.toString());
+    if (!existing && note.collaborators.length >= MAX_COLLABORATORS) {
+      return res.status(400).json({ error: `Maximum ${MAX_COLLABORATORS} collaborators allowed` });
+    }
+    const collaborators = existing
+      ? note.collaborators.map(c => (c.user.toString() === user._id.toString() ? { user: c.user, role } : c))
+      : [...note.collaborators, { user: user._id, role }];
+    await saveCollaborators(req, res, note, collaborators);
+  } catch (error) {
+    handleError(error, res, "Failed to share note. Please try again");
+  }
+});
+
+// ROUTE 3: Revoke a collaborator's access. The owner may remove anyone, a
+// collaborator only themselves. In a workspace, removing others takes an admin.
+router.delete("/unshare-note/:id/:userId", fetchuser, fetchWorkspace, async (req, res) => {
+  try {
+    validateObjectId(req.params.userId, "Invalid user ID format");
+    const leaving = req.params.userId === req.user.id;
+    if (!leaving) checkSpaceRole(req.space, "admin");
+    const note = await findAccessibleNote(req.params.id, leaving ? req.user.id : req.space.id, leaving ? "viewer" : "owner");
+    const collaborators = note.collaborators.filter(c => c.user.toString() !== req.params.userId);
+    if (collaborators.length === note.collaborators.length) {
+      return res.status(404).json({ error: "User is not a collaborator on this note" });
+    }
+    await saveCollaborators(req, res, note, collaborators);
+  } catch (error) {
+    handleError(error, res, "Failed to revoke access. Please try again");
+  }
+});
+
+export default router;
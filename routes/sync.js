@@ -0,0 +1,111 @@
+import express from "express";
+import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
+import { checkNoteText, checkChecklistItems, checkNoteFiles, checkLanguage, checkColour, checkTagArray, checkReminder } from "../middlewares/validation.js";
+import { decryptNote, getNoteDataKey, loadTagNames, handleError, getErrorStatus, getErrorBody } from "../utils/noteUtils.js";
+import { createNote, updateNote, permanentlyDeleteNote } from "../utils/noteOperations.js";
+import { getChangesSince } from "../utils/sync.js";
+
+const router = express.Router();
+
+const MAX_PUSH_CHANGES = 100;
+const PUSH_OPERATIONS = ["create", "update", "delete"];
+
+// Run validation checks, reporting any failure as a bad request
+const validateChange = async (checks) => {
+  try {
+    await checks();
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+};
+
+// Apply one queued offline change and describe the outcome
+const applyChange = async (change, userId, dataKey, tagNames) => {
+  const { op, id, clientId, expectedVersion, note = {} } = change;
+  if (op === "create") {
+    await validateChange(async () => {
+      checkNoteText(note);
+      checkLanguage(note.language);
+      checkColour(note.colour);
+      checkReminder(note);
+      await checkTagArray(note.tag, userId);
+    });
+    const created = await createNote(userId, dataKey, note);
+    return { clientId, id: created._id, status: 201, note: decryptNote(created, dataKey, tagNames) };
+  }
+  if (op === "update") {
+    await validateChange(async () => {
+      checkChecklistItems(note.items);
+      checkNoteFiles(note.files);
+      checkLanguage(note.language);
+      checkColour(note.colour);
+      checkReminder(note);
+      await checkTagArray(note.tag, userId);
+    });
+    const saved = await updateNote(userId, dataKey, id, note, expectedVersion);
+    // Notes shared with the user are encrypted with their owner's key and carry their owner's labels
+    const noteKey = await getNoteDataKey(saved, userId, dataKey);
+    const noteTagNames = noteKey === dataKey ? tagNames : await loadTagNames(saved.user, noteKey);
+    return { clientId, id, status: 200, note: decryptNote(saved, noteKey, noteTagNames) };
+  }
+  await permanentlyDeleteNote(userId, id);
+  return { clientId, id, status: 200 };
+};
+
+// ROUTE 1: Fetch notes and labels changed since a sync token. Notes shared with the
+// user by others are left out, they come from fetch-notes?filter=shared and the event stream
+router.get("/sync", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const changes = await getChangesSince(req.space.id, req.query.since, req.dataKey);
+    res.status(200).json(changes);
+  } catch (error) {
+    handleError(error, res, "Failed to sync notes. Please try again");
+  }
+});
+
+// ROUTE 2: Apply a queue of offline note changes in order, with a result per change
+router.post("/sync", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  const { changes } = req.body;
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return res.status(400).json({ error: "Changes must be a non-empty array" });
+  }
+  if (changes.length > MAX_PUSH_CHANGES) {
+    return res.status(400).json({ error: `Maximum ${MAX_PUSH_CHANGES} changes allowed per request` });
+  }
+  const results = [];
+  let tagNames;
+  try {
+    // Pushed changes can't add labels, so one lookup serves every change
+    tagNames = await loadTagNames(req.space.id, req.dataKey);
+  } catch (error) {
+    return handleError(error, res, "Failed to apply changes. Please try again");
+  }
+  for (const change of changes) {
+    if (!PUSH_OPERATIONS.includes(change?.op)) {
+      results.push({ clientId: change?.clientId, id: change?.id, status: 400, error: `Invalid operation. Must be one of: ${PUSH_OPERATIONS.join(", ")}` });
+      continue;
+    }
+    // Each change succeeds or fails on its own, later changes still run
+    try {
+      const expectedVersion = change.expectedVersion;
+      if (expectedVersion !== undefined && (!Number.isInteger(expectedVersion) || expectedVersion < 0)) {
+        throw new Error("Invalid note version");
+      }
+      results.push(await applyChange(change, req.space.id, req.dataKey, tagNames));
+    } catch (error) {
+      // Report the same status and body the single note routes would
+      results.push({
+        clientId: change.clientId,
+        id: change.id,
+        status: getErrorStatus(error),
+        ...getErrorBody(error, "Failed to apply change")
+      });
+    }
+  }
+  res.status(200).json({ results });
+});
+
+export default router;
@@ -2,9 +2,14 @@ import express from "express";
 import mongoose from "mongoose";
 import { Note } from "../models/Note.js";
 import { Tag } from "../models/Tag.js";
+import { Tombstone } from "../models/Tombstone.js";
 import fetchuser from "../middlewares/fetchuser.js";
+import fetchWorkspace from "../middlewares/fetchWorkspace.js";
+import fetchDataKey from "../middlewares/fetchDataKey.js";
 import { tagStringValidation, handleValidationErrors } from "../middlewares/validation.js";
 import { encrypt, decrypt } from "../utils/encryption.js";
+import { publishNoteEvent, publishTagEvent } from "../utils/events.js";
+import { buildTagTree, collectDescendantIds, createsCycle } from "../utils/tagTree.js";
 
 const router = express.Router();
 
@@ -20,12 +25,40 @@ const checkTagOwnership = (tag, userId, res) => {
   return true;
 };
 
+// Check that a parent label id, when given, is one of the user's labels
+const checkParentTag = (parentId, userTags, res) => {
+  if (parentId === undefined || parentId === null) return true;
+  if (typeof parentId !== "string" || !mongoose.Types.ObjectId.isValid(parentId)) {
+    res.status(400).json({ error: "Invalid parent label ID format" });
+    return false;
+  }
+  if (!userTags.some(t => t._id.toString() === parentId)) {
+    res.status(404).json({ error: "Parent label not found" });
+    return false;
+  }
+  return true;
+};
+
+// Remove deleted labels from every note that carries them
+const removeTagsFromNotes = async (userId, tagIds) => {
+  const notes = await Note.find({ user: userId, tag: { $in: tagIds } }).select("_id").lean();
+  if (notes.length === 0) return;
+  const noteIds = notes.map(note => note._id);
+  await Note.updateMany(
+    { _id: { $in: noteIds }, user: userId, tag: { $in: tagIds } },
+    { $pull: { tag: { $in: tagIds } }, $set: { changedAt: new Date() }, $inc: { version: 1 } },
+    { timestamps: false }
+  );
+  const changedNotes = await Note.find({ _id: { $in: noteIds } }).lean();
+  changedNotes.forEach(note => publishNoteEvent(userId, "note.updated", note));
+};
+
 // Fetch tags (sorted alphabetically by decrypted value)
-router.get("/fetch-tags", fetchuser, async (req, res) => {
+router.get("/fetch-tags", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
   try {
-    const tags = await Tag.find({ user: req.user.id }).lean();
+    const tags = await Tag.find({ user: req.space.id }).lean();
     const decryptedTags = tags
-      .map(t => ({ ...t, name: decrypt(t.name) }))
+      .map(t => ({ ...t, name: decrypt(t.name, req.dataKey) }))
       .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
     res.status(200).json(decryptedTags);
   } catch (error) {
@@ -33,31 +66,48 @@ router.get("/fetch-tags", fetchuser, async (req, res) => {
   }
 });
 
-router.post("/add-tag", fetchuser, tagStringValidation, handleValidationErrors, async (req, res) => {
+// Fetch tags nested under their parents
+router.get("/fetch-tag-tree", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
+  try {
+    const tags = await Tag.find({ user: req.space.id }).lean();
+    const decryptedTags = tags.map(t => ({ ...t, name: decrypt(t.name, req.dataKey) }));
+    res.status(200).json(buildTagTree(decryptedTags));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch labels. Please try again." });
+  }
+});
+
+router.post("/add-tag", fetchuser, fetchWorkspace, fetchDataKey, tagStringValidation, handleValidationErrors, async (req, res) => {
   try {
     const tagName = req.body.name.trim();
 
-    // Fetch existing tags to check for duplicates
-    const existingTags = await Tag.find({ user: req.user.id }).lean();
+    // Fetch existing tags to check for duplicates. Labels belong to the space, so
+    // the limit applies to each workspace separately from the personal space.
+    const existingTags = await Tag.find({ user: req.space.id }).lean();
     if (existingTags.length === 50) {
       return res.status(400).json({ error: "Maximum 50 labels allowed" });
     }
     const isDuplicate = existingTags.some(t => {
-      const decryptedTag = decrypt(t.name);
+      const decryptedTag = decrypt(t.name, req.dataKey);
       return decryptedTag.toLowerCase() === tagName.toLowerCase();
     });
     if (isDuplicate) {
       return res.status(400).json({ error: "Label already exists" });
     }
+    const parent = req.body.parent ?? null;
+    if (!checkParentTag(parent, existingTags, res)) return;
     const created = await Tag.create({
-      user: req.user.id,
-      name: encrypt(tagName)
+      user: req.space.id,
+      name: encrypt(tagName, req.dataKey),
+      parent
     });
+    publishTagEvent(req.space.id, "tag.created", created.toObject());
     // Return the created tag with decrypted value
     res.status(201).json({
       _id: created._id,
       user: created.user,
       name: tagName,
+      parent: created.parent,
       createdAt: created.createdAt,
       updatedAt: created.updatedAt
     });
@@ -66,7 +116,7 @@ router.post("/add-tag", fetchuser, tagStringValidation, handleValidationErrors,
   }
 });
 
-router.put("/update-tag/:id", fetchuser, tagStringValidation, handleValidationErrors, async (req, res) => {
+router.put("/update-tag/:id", fetchuser, fetchWorkspace, fetchDataKey, tagStringValidation, handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
     const tagName = req.body.name.trim();
@@ -76,8 +126,8 @@ router.put("/update-tag/:id", fetchuser, tagStringValidation, handleValidationEr
     }
     // Find the tag to update
     const tag = await Tag.findById(id);
-    if (!checkTagOwnership(tag, req.user.id, res)) return;
-    const currentDecryptedValue = decrypt(tag.name);
+    if (!checkTagOwnership(tag, req.space.id, res)) return;
+    const currentDecryptedValue = decrypt(tag.name, req.dataKey);
     // Check if the tag value actually changed
     if (currentDecryptedValue === tagName) {
       return res.status(200).json({
@@ -87,11 +137,11 @@ router.put("/update-tag/:id", fetchuser, tagStringValidation, handleValidationEr
     }
     // Check for duplicates with other tags (exclude current tag)
     const otherTags = await Tag.find({
-      user: req.user.id,
+      user: req.space.id,
       _id: { $ne: id }
     }).lean();
     const isDuplicate = otherTags.some(t => {
-      const decryptedTag = decrypt(t.name);
+      const decryptedTag = decrypt(t.name, req.dataKey);
       return decryptedTag.toLowerCase() === tagName.toLowerCase();
     });
     if (isDuplicate) {
@@ -100,15 +150,18 @@ router.put("/update-tag/:id", fetchuser, tagStringValidation, handleValidationEr
     // Update the tag
     const updatedTag = await Tag.findByIdAndUpdate(
       id,
-      { $set: { name: encrypt(tagName) } },
+      { $set: { name: encrypt(tagName, req.dataKey) } },
       { new: true }
     );
+    // Notes refer to the label by id, so they show the new name without being rewritten
+    publishTagEvent(req.space.id, "tag.renamed", updatedTag.toObject());
     res.status(200).json({
       success: true,
       tag: {
         _id: updatedTag._id,
         user: updatedTag.user,
         name: tagName,
+        parent: updatedTag.parent,
         createdAt: updatedTag.createdAt,
         updatedAt: updatedTag.updatedAt
       }
@@ -119,31 +172,84 @@ router.put("/update-tag/:id", fetchuser, tagStringValidation, handleValidationEr
   }
 });
 
-router.delete("/delete-tag/:id", fetchuser, async (req, res) => {
+// Move a tag under another parent, or to the top level with a null parent
+router.put("/move-tag/:id", fetchuser, fetchWorkspace, fetchDataKey, async (req, res) => {
   try {
     const { id } = req.params;
     // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid label ID format" });
+    }
+    const tag = await Tag.findById(id);
+    if (!checkTagOwnership(tag, req.space.id, res)) return;
+    const parent = req.body.parent ?? null;
+    const userTags = await Tag.find({ user: req.space.id }).select("parent").lean();
+    if (!checkParentTag(parent, userTags, res)) return;
+    if (String(tag.parent) === String(parent)) {
+      return res.status(200).json({
+        success: true,
+        message: "No changes made"
+      });
+    }
+    // A label can't end up nested below itself
+    if (createsCycle(userTags, id, parent)) {
+      return res.status(400).json({ error: "A label can't be moved under itself or one of its sub-labels" });
+    }
+    const movedTag = await Tag.findByIdAndUpdate(id, { $set: { parent } }, { new: true });
+    publishTagEvent(req.space.id, "tag.moved", movedTag.toObject());
+    res.status(200).json({
+      success: true,
+      tag: {
+        _id: movedTag._id,
+        user: movedTag.user,
+        name: decrypt(movedTag.name, req.dataKey),
+        parent: movedTag.parent,
+        createdAt: movedTag.createdAt,
+        updatedAt: movedTag.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error moving tag:", error);
+    res.status(500).json({ error: "Failed to move label. Please try again." });
+  }
+});
+
+// Delete a tag. Its sub-labels move up to its parent, or are deleted with it
+// when the children query parameter is "delete".
+router.delete("/delete-tag/:id", fetchuser, fetchWorkspace, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { children = "reparent" } = req.query;
+    // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid tag ID format" });
     }
+    if (!["reparent", "delete"].includes(children)) {
+      return res.status(400).json({ error: "Invalid children option. Must be one of: reparent, delete" });
+    }
     // Find and verify ownership
     const tag = await Tag.findById(id);
-    if (!checkTagOwnership(tag, req.user.id, res)) return;
-    // Delete the tag
-    await Tag.findByIdAndDelete(id);
-    const notesWithTags = await Note.find({ user: req.user.id, tag: { $exists: true, $not: { $size: 0 } } });
-    for (const note of notesWithTags) {
-      const updatedTags = note.tag.map(t => decrypt(t)).filter(t => t !== decrypt(tag.name)).map(t => encrypt(t));
-      if (updatedTags.length !== note.tag.length) {
-        await Note.findByIdAndUpdate(note._id, { tag: updatedTags }, { timestamps: false });
-      }
+    if (!checkTagOwnership(tag, req.space.id, res)) return;
+    let deletedIds = [tag._id];
+    if (children === "delete") {
+      const userTags = await Tag.find({ user: req.space.id }).select("parent").lean();
+      deletedIds = collectDescendantIds(userTags, tag._id).map(tagId => new mongoose.Types.ObjectId(tagId));
+    } else {
+      const childTags = await Tag.find({ user: req.space.id, parent: tag._id }).select("_id").lean();
+      await Tag.updateMany({ _id: { $in: childTags.map(t => t._id) } }, { $set: { parent: tag.parent } });
+      const movedTags = await Tag.find({ _id: { $in: childTags.map(t => t._id) } }).lean();
+      movedTags.forEach(t => publishTagEvent(req.space.id, "tag.moved", t));
     }
-    // Remove the tag from the note.tag array, Upload these updated note in db
-    res.status(200).json({ success: true });
+    // Delete the tags and remove them from every note that carries them
+    await Tag.deleteMany({ _id: { $in: deletedIds }, user: req.space.id });
+    await Tombstone.insertMany(deletedIds.map(tagId => ({ user: req.space.id, kind: "tag", docId: tagId })));
+    deletedIds.forEach(tagId => publishTagEvent(req.space.id, "tag.deleted", { _id: tagId }));
+    await removeTagsFromNotes(req.space.id, deletedIds);
+    res.status(200).json({ success: true, deleted: deletedIds });
   } catch (error) {
     console.error("Error deleting tag:", error);
     res.status(500).json({ error: "Failed to delete label. Please try again." });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
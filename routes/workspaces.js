@@ -0,0 +1,315 @@
+import express from "express";
+import { Workspace, WORKSPACE_ROLE_RANKS } from "../models/Workspace.js";
+import { WorkspaceInvitation, INVITATION_EXPIRY_DAYS } from "../models/WorkspaceInvitation.js";
+import { User } from "../models/User.js";
+import { Note } from "../models/Note.js";
+import { Tag } from "../models/Tag.js";
+import { Tombstone } from "../models/Tombstone.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import fetchuser from "../middlewares/fetchuser.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import { validateObjectId } from "../middlewares/validation.js";
+import { handleError } from "../utils/noteUtils.js";
+import { createWrappedDataKey } from "../utils/dataKeys.js";
+import { purgeNotes } from "../utils/noteOperations.js";
+import { publishUserEvent } from "../utils/events.js";
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 50;
+const MAX_MEMBERS = 50;
+const INVITE_ROLES = ["admin", "member"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const checkName = (name) => {
+  if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw badRequest(`Name must be a non empty string with not more than ${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+};
+
+const checkInviteRole = (role) => {
+  if (!INVITE_ROLES.includes(role)) {
+    throw badRequest(`Invalid role. Must be one of: ${INVITE_ROLES.join(", ")}`);
+  }
+};
+
+const getMember = (workspace, userId) => workspace.members.find(m => m.user.toString() === userId);
+
+// Load a workspace the user belongs to with at least the given role. Workspaces
+// of others look missing, so their ids reveal nothing.
+const findWorkspace = async (workspaceId, userId, role = "member") => {
+  validateObjectId(workspaceId, "Invalid workspace ID format");
+  const workspace = await Workspace.findById(workspaceId).lean();
+  const member = workspace && getMember(workspace, userId);
+  if (!member) {
+    throw new Error("Workspace not found");
+  }
+  if (WORKSPACE_ROLE_RANKS[member.role] < WORKSPACE_ROLE_RANKS[role]) {
+    throw new Error(role === "owner" ? "Only the workspace owner can do this" : "Admin access required");
+  }
+  return { workspace, member };
+};
+
+// Load a pending invitation
+const findInvitation = async (query) => {
+  validateObjectId(query._id, "Invalid invitation ID format");
+  const invitation = await WorkspaceInvitation.findOne({ ...query, expiresAt: { $gt: new Date() } }).lean();
+  if (!invitation) {
+    throw new Error("Invitation not found");
+  }
+  return invitation;
+};
+
+// Emails are matched without regard to case
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const describeWorkspace = (workspace, userId) => ({
+  _id: workspace._id,
+  name: workspace.name,
+  role: getMember(workspace, userId)?.role ?? null,
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt
+});
+
+// ROUTE 1: Fetch the workspaces the user belongs to, with their role in each
+router.get("/fetch-workspaces", fetchuser, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ "members.user": req.user.id }).sort({ name: 1 }).lean();
+    res.status(200).json(workspaces.map(workspace => describeWorkspace(workspace, req.user.id)));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch workspaces. Please try again");
+  }
+});
+
+// ROUTE 2: Create a workspace owned by the user
+router.post("/create-workspace", fetchuser, requireVerifiedEmail("workspaces"), async (req, res) => {
+  try {
+    const name = checkName(req.body.name);
+    const workspace = await Workspace.create({
+      name,
+      members: [{ user: req.user.id, role: "owner" }],
+      dataKey: createWrappedDataKey()
+    });
+    res.status(201).json(describeWorkspace(workspace.toObject(), req.user.id));
+  } catch (error) {
+    handleError(error, res, "Failed to create workspace. Please try again");
+  }
+});
+
+// ROUTE 3: Rename a workspace, owner and admins only
+router.put("/rename-workspace/:id", fetchuser, async (req, res) => {
+  try {
+    const name = checkName(req.body.name);
+    await findWorkspace(req.params.id, req.user.id, "admin");
+    const workspace = await Workspace.findByIdAndUpdate(req.params.id, { $set: { name } }, { new: true }).lean();
+    if (!workspace) {
+      throw new Error("Workspace not found");
+    }
+    res.status(200).json(describeWorkspace(workspace, req.user.id));
+  } catch (error) {
+    handleError(error, res, "Failed to rename workspace. Please try again");
+  }
+});
+
+// ROUTE 4: Delete a workspace with all its notes, labels, saved searches and invitations, owner only
+router.delete("/delete-workspace/:id", fetchuser, async (req, res) => {
+  try {
+    const { workspace } = await findWorkspace(req.params.id, req.user.id, "owner");
+    // Removing the workspace first ends every member's access before its data goes
+    await Workspace.deleteOne({ _id: workspace._id });
+    publishUserEvent(workspace._id.toString(), { type: "workspace.deleted", workspaceId: workspace._id });
+    const notes = await Note.find({ user: workspace._id }).select("_id").lean();
+    await purgeNotes(workspace._id.toString(), notes.map(note => note._id));
+    await Tag.deleteMany({ user: workspace._id });
+    await Tombstone.deleteMany({ user: workspace._id });
+    await SavedSearch.deleteMany({ user: workspace._id });
+    await WorkspaceInvitation.deleteMany({ workspace: workspace._id });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to delete workspace. Please try again");
+  }
+});
+
+// ROUTE 5: Fetch the members of a workspace with their names, emails and roles
+router.get("/fetch-members/:id", fetchuser, async (req, res) => {
+  try {
+    const { workspace } = await findWorkspace(req.params.id, req.user.id);
+    const users = await User.find({ _id: { $in: workspace.members.map(m => m.user) } }).select("name email").lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    res.status(200).json(workspace.members.map(m => ({
+      ...(usersById.get(m.user.toString()) ?? { _id: m.user }),
+      role: m.role,
+      joinedAt: m.joinedAt
+    })));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch members. Please try again");
+  }
+});
+
+// ROUTE 6: Invite someone to a workspace by email. Admins invite members, only
+// the owner invites admins. Inviting the same email again renews the invitation.
+router.post("/invite-member/:id", fetchuser, async (req, res) => {
+  try {
+    const { email, role = "member" } = req.body;
+    checkInviteRole(role);
+    if (typeof email !== "string" || !email.trim()) {
+      throw badRequest("Email is required");
+    }
+    const { workspace } = await findWorkspace(req.params.id, req.user.id, role === "admin" ? "owner" : "admin");
+    if (workspace.members.length >= MAX_MEMBERS) {
+      throw badRequest(`Maximum ${MAX_MEMBERS} members allowed`);
+    }
+    const normalizedEmail = normalizeEmail(email);
+    const members = await User.find({ _id: { $in: workspace.members.map(m => m.user) } }).select("email").lean();
+    if (members.some(user => normalizeEmail(user.email) === normalizedEmail)) {
+      throw badRequest("This person is already a member");
+    }
+    const invitation = await WorkspaceInvitation.findOneAndUpdate(
+      { workspace: workspace._id, email: normalizedEmail },
+      { $set: { role, invitedBy: req.user.id, expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000) } },
+      { upsert: true, new: true }
+    ).lean();
+    res.status(201).json(invitation);
+  } catch (error) {
+    handleError(error, res, "Failed to invite member. Please try again");
+  }
+});
+
+// ROUTE 7: Fetch the pending invitations of a workspace, owner and admins only
+router.get("/fetch-workspace-invitations/:id", fetchuser, async (req, res) => {
+  try {
+    const { workspace } = await findWorkspace(req.params.id, req.user.id, "admin");
+    const invitations = await WorkspaceInvitation.find({ workspace: workspace._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.status(200).json(invitations);
+  } catch (error) {
+    handleError(error, res, "Failed to fetch invitations. Please try again");
+  }
+});
+
+// ROUTE 8: Withdraw a pending invitation, owner and admins only
+router.delete("/revoke-invitation/:id/:invitationId", fetchuser, async (req, res) => {
+  try {
+    const { workspace } = await findWorkspace(req.params.id, req.user.id, "admin");
+    const invitation = await findInvitation({ _id: req.params.invitationId, workspace: workspace._id });
+    await WorkspaceInvitation.deleteOne({ _id: invitation._id });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to revoke invitation. Please try again");
+  }
+});
+
+// ROUTE 9: Fetch the invitations sent to the user's email
+router.get("/fetch-invitations", fetchuser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("email").lean();
+    const invitations = await WorkspaceInvitation.find({ email: normalizeEmail(user.email), expiresAt: { $gt: new Date() } })
+      .populate("workspace", "name")
+      .sort({ createdAt: -1 })
+      .lean();
+    // Invitations outlive deleted workspaces until they expire
+    res.status(200).json(invitations.filter(invitation => invitation.workspace));
+  } catch (error) {
+    handleError(error, res, "Failed to fetch invitations. Please try again");
+  }
+});
+
+// ROUTE 10: Accept an invitation sent to the user's email and join the workspace
+router.post("/accept-invitation/:invitationId", fetchuser, requireVerifiedEmail("workspaces"), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("email").lean();
+    const invitation = await findInvitation({ _id: req.params.invitationId, email: normalizeEmail(user.email) });
+    // Join only if not yet a member and there is still room, in one update
+    const result = await Workspace.updateOne(
+      { _id: invitation.workspace, "members.user": { $ne: req.user.id }, [`members.${MAX_MEMBERS - 1}`]: { $exists: false } },
+      { $push: { members: { user: req.user.id, role: invitation.role } } }
+    );
+    if (result.modifiedCount === 0) {
+      const workspace = await Workspace.findById(invitation.workspace).lean();
+      if (!workspace) {
+        throw new Error("Invitation not found");
+      }
+      if (!getMember(workspace, req.user.id)) {
+        throw badRequest(`Maximum ${MAX_MEMBERS} members allowed`);
+      }
+    }
+    await WorkspaceInvitation.deleteOne({ _id: invitation._id });
+    const workspace = await Workspace.findById(invitation.workspace).lean();
+    res.status(200).json(describeWorkspace(workspace, req.user.id));
+  } catch (error) {
+    handleError(error, res, "Failed to accept invitation. Please try again");
+  }
+});
+
+// ROUTE 11: Decline an invitation sent to the user's email
+router.delete("/decline-invitation/:invitationId", fetchuser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("email").lean();
+    const invitation = await findInvitation({ _id: req.params.invitationId, email: normalizeEmail(user.email) });
+    await WorkspaceInvitation.deleteOne({ _id: invitation._id });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to decline invitation. Please try again");
+  }
+});
+
+// ROUTE 12: Make a member an admin or an admin a member, owner only
+router.put("/change-member-role/:id/:userId", fetchuser, async (req, res) => {
+  try {
+    const { role } = req.body;
+    checkInviteRole(role);
+    validateObjectId(req.params.userId, "Invalid user ID format");
+    const { workspace } = await findWorkspace(req.params.id, req.user.id, "owner");
+    const member = getMember(workspace, req.params.userId);
+    if (!member) {
+      throw new Error("Member not found");
+    }
+    if (member.role === "owner") {
+      throw badRequest("The owner's role can't be changed");
+    }
+    await Workspace.updateOne(
+      { _id: workspace._id, "members.user": member.user },
+      { $set: { "members.$.role": role } }
+    );
+    res.status(200).json({ success: true, role });
+  } catch (error) {
+    handleError(error, res, "Failed to change member role. Please try again");
+  }
+});
+
+// ROUTE 13: Remove a member from a workspace, ending their access at once. Admins
+// remove members, the owner removes anyone, and members may leave by removing
+// themselves. The owner can't leave their own workspace.
+router.delete("/remove-member/:id/:userId", fetchuser, async (req, res) => {
+  try {
+    validateObjectId(req.params.userId, "Invalid user ID format");
+    const leaving = req.params.userId === req.user.id;
+    const { workspace } = await findWorkspace(req.params.id, req.user.id, leaving ? "member" : "admin");
+    const member = getMember(workspace, req.params.userId);
+    if (!member) {
+      throw new Error("Member not found");
+    }
+    if (member.role === "owner") {
+      throw badRequest(leaving ? "The owner can't leave the workspace, delete it instead" : "The owner can't be removed");
+    }
+    if (!leaving && member.role === "admin" && getMember(workspace, req.user.id).role !== "owner") {
+      throw new Error("Only the workspace owner can do this");
+    }
+    await Workspace.updateOne({ _id: workspace._id }, { $pull: { members: { user: member.user } } });
+    // Close the removed member's open event streams of the workspace
+    publishUserEvent(workspace._id.toString(), { type: "workspace.member.removed", workspaceId: workspace._id, userId: req.params.userId });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    handleError(error, res, "Failed to remove member. Please try again");
+  }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+// Build the [[...]] link index for notes written before links were parsed.
+// Every note's links are rebuilt from its content, so the script can be run
+// again at any time. Run backfill:search-index first, title links resolve
+// through the title token it adds.
+//
+// Usage: npm run backfill:links
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { Note } from "../models/Note.js";
+import { getDataKey } from "../utils/dataKeys.js";
+import { decrypt } from "../utils/encryption.js";
+import { saveNoteLinks } from "../utils/noteLinks.js";
+
+dotenv.config()
+
+const BATCH_SIZE = 100;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  let lastId = null;
+  let scanned = 0;
+  while (true) {
+    const query = lastId ? { _id: { $gt: lastId } } : {};
+    const notes = await Note.find(query).select("user content").sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+    if (notes.length === 0) break;
+    // Unwrap each owner's data key once per batch
+    const userKeys = new Map();
+    for (const note of notes) {
+      const userId = note.user.toString();
+      if (!userKeys.has(userId)) userKeys.set(userId, await getDataKey(userId));
+      const dataKey = userKeys.get(userId);
+      await saveNoteLinks(userId, note._id, decrypt(note.content, dataKey), dataKey);
+    }
+    lastId = notes[notes.length - 1]._id;
+    scanned += notes.length;
+    console.log(`Linked ${scanned} notes`);
+  }
+  console.log(`Link backfill done (${scanned} notes scanned)`);
+};
+
+try {
+  await run();
+} catch (error) {
+  console.error("Link backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
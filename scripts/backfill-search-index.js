@@ -0,0 +1,64 @@
+// Build the blind search index for every note created before it existed, or
+// before it held the title token used by [[Note title]] links. Also adds the
+// title sort keys when TITLE_SORT_KEYS is on, and removes them when it is off.
+// Only notes whose title sort key doesn't match the setting are touched, so the
+// script can be stopped and run again to resume where it left off.
+//
+// Usage: npm run backfill:search-index
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { Note } from "../models/Note.js";
+import { getDataKey } from "../utils/dataKeys.js";
+import { decrypt } from "../utils/encryption.js";
+import { buildSearchIndex, titleSortKeysEnabled } from "../utils/searchIndex.js";
+
+dotenv.config()
+
+const BATCH_SIZE = 100;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  let lastId = null;
+  let indexed = 0;
+  // Notes without a key when keys are on, notes never indexed or still holding a key when off
+  const pending = titleSortKeysEnabled()
+    ? { titleSortKey: { $not: { $type: "string" } } }
+    : { $or: [{ titleSortKey: { $exists: false } }, { titleSortKey: { $type: "string" } }] };
+  while (true) {
+    const query = { ...pending };
+    if (lastId) query._id = { $gt: lastId };
+    const notes = await Note.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+    if (notes.length === 0) break;
+    // Unwrap each owner's data key once per batch
+    const userKeys = new Map();
+    const operations = [];
+    for (const note of notes) {
+      const userId = note.user.toString();
+      if (!userKeys.has(userId)) userKeys.set(userId, await getDataKey(userId));
+      const dataKey = userKeys.get(userId);
+      const searchIndex = buildSearchIndex({
+        title: decrypt(note.title, dataKey),
+        content: decrypt(note.content, dataKey),
+        items: (note.items || []).map(item => ({ text: decrypt(item.text, dataKey) })),
+        files: (note.files || []).map(file => ({ filename: decrypt(file.filename, dataKey), content: decrypt(file.content, dataKey) }))
+      }, dataKey);
+      operations.push({
+        updateOne: { filter: { _id: note._id, ...pending }, update: { $set: searchIndex }, timestamps: false }
+      });
+    }
+    await Note.bulkWrite(operations, { ordered: false });
+    lastId = notes[notes.length - 1]._id;
+    indexed += notes.length;
+    console.log(`Indexed ${indexed} notes`);
+  }
+  console.log(`Search index backfill done (${indexed} notes indexed)`);
+};
+
+try {
+  await run();
+} catch (error) {
+  console.error("Search index backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,90 @@
+// Replace the encrypted label names stored on notes and revisions with the ids
+// of the user's Tag documents, and drop the old label search tokens. Names with
+// no matching label (deleted before labels were stored by id) are dropped, as
+// restoring a revision already did. Only documents still holding names are
+// touched, so the script can be stopped and run again to resume.
+//
+// Usage: npm run migrate:tag-refs
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { Note } from "../models/Note.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import { Tag } from "../models/Tag.js";
+import { getDataKey } from "../utils/dataKeys.js";
+import { decrypt } from "../utils/encryption.js";
+
+dotenv.config()
+
+const BATCH_SIZE = 100;
+
+// Documents with at least one label still stored as an encrypted name
+const UNMIGRATED_QUERY = { tag: { $elemMatch: { $type: "string" } } };
+
+// Map each of a user's label names, lowercased, to the label id
+const loadTagIds = async (userId, dataKey) => {
+  const tags = await Tag.find({ user: userId }).lean();
+  return new Map(tags.map(t => [decrypt(t.name, dataKey).toLowerCase(), t._id]));
+};
+
+// The raw collections are used so the stored names aren't cast to ids on read
+const migrateCollection = async (Model) => {
+  const collection = Model.collection;
+  let lastId = null;
+  let migrated = 0;
+  while (true) {
+    const query = lastId ? { ...UNMIGRATED_QUERY, _id: { $gt: lastId } } : UNMIGRATED_QUERY;
+    const docs = await collection.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).toArray();
+    if (docs.length === 0) break;
+    // Load each owner's key and labels once per batch
+    const userTags = new Map();
+    const operations = [];
+    for (const doc of docs) {
+      const userId = doc.user.toString();
+      if (!userTags.has(userId)) {
+        const dataKey = await getDataKey(userId);
+        userTags.set(userId, { dataKey, tagIds: await loadTagIds(userId, dataKey) });
+      }
+      const { dataKey, tagIds } = userTags.get(userId);
+      const ids = new Map();
+      for (const value of doc.tag) {
+        const id = typeof value === "string" ? tagIds.get(decrypt(value, dataKey).trim().toLowerCase()) : value;
+        if (id) ids.set(id.toString(), id);
+      }
+      // Only rewrite labels that have not been edited since they were read
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id, tag: doc.tag },
+          update: { $set: { tag: [...ids.values()] }, $unset: { tagTokens: "" } }
+        }
+      });
+    }
+    await collection.bulkWrite(operations, { ordered: false });
+    lastId = docs[docs.length - 1]._id;
+    migrated += docs.length;
+    console.log(`${Model.modelName}: migrated ${migrated} documents`);
+  }
+  return migrated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const notes = await migrateCollection(Note);
+  const revisions = await migrateCollection(NoteRevision);
+  // Notes without labels may still carry the old label tokens
+  await Note.collection.updateMany({ tagTokens: { $exists: true } }, { $unset: { tagTokens: "" } });
+  try {
+    await Note.collection.dropIndex("user_1_tagTokens_1");
+  } catch (error) {
+    // Already dropped, or never built
+  }
+  console.log(`Label migration done (${notes} notes, ${revisions} revisions migrated)`);
+};
+
+try {
+  await run();
+} catch (error) {
+  console.error("Label migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,49 @@
+// Rewrap every user's data key under the current key in NOTE_KEYS, and move Note,
+// NoteRevision and Tag values still encrypted under a server key (including the v1 and legacy
+// aes-256-cbc formats) to their owner's data key. Progress is
+// checkpointed after each batch, so the script can be stopped and run again to
+// resume. Pass --status to print the progress of the current job and exit.
+//
+// Usage: npm run reencrypt [-- --status]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { runReencryptionJob, getReencryptionStatus } from "../utils/reencryption.js";
+
+dotenv.config()
+
+const printStatus = (job) => {
+  if (!job) {
+    console.log("No re-encryption job has run for the current key");
+    return;
+  }
+  console.log(`Key "${job.keyId}": ${job.status}${job.error ? ` (${job.error})` : ""}`);
+  for (const [collection, progress] of Object.entries(job.progress || {})) {
+    console.log(`  ${collection}: scanned ${progress.scanned}, re-encrypted ${progress.reencrypted}${progress.done ? ", done" : ""}`);
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  if (process.argv.includes("--status")) {
+    printStatus(await getReencryptionStatus());
+    return;
+  }
+  const job = await runReencryptionJob({
+    onProgress: ({ collection, scanned, reencrypted }) => {
+      console.log(`${collection}: scanned ${scanned}, re-encrypted ${reencrypted}`);
+    }
+  });
+  printStatus(job.toObject({ flattenMaps: true }));
+  if (job.status === "failed") {
+    process.exitCode = 1;
+  }
+};
+
+try {
+  await run();
+} catch (error) {
+  console.error("Re-encryption failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,40 @@
+// Delete a user's data key, making every note, revision, label and saved search
+// encrypted under it unrecoverable, then purge that data. The account itself is
+// kept. Pass --confirm to go ahead; run again to finish an interrupted purge.
+//
+// Usage: npm run shred:data-key -- <user id or email> --confirm
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { User } from "../models/User.js";
+import { shredDataKey } from "../utils/shredding.js";
+
+dotenv.config()
+
+const run = async () => {
+  const [target] = process.argv.slice(2).filter(arg => !arg.startsWith("--"));
+  if (!target || !process.argv.includes("--confirm")) {
+    console.error("Usage: npm run shred:data-key -- <user id or email> --confirm");
+    process.exitCode = 1;
+    return;
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+  const user = mongoose.Types.ObjectId.isValid(target)
+    ? await User.findById(target).select("_id email").lean()
+    : await User.findOne({ email: target }).select("_id email").lean();
+  if (!user) {
+    console.error(`No user matches "${target}"`);
+    process.exitCode = 1;
+    return;
+  }
+  await shredDataKey(user._id.toString());
+  console.log(`Shredded the data key of ${user.email} and purged their encrypted data`);
+};
+
+try {
+  await run();
+} catch (error) {
+  console.error("Shredding failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
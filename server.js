@@ -4,7 +4,22 @@ import mongoose from "mongoose"
 import dotenv from "dotenv"
 import authRouter from "./routes/auth.js"
 import notesRouter from "./routes/notes.js"
+import checklistsRouter from "./routes/checklists.js"
+import linksRouter from "./routes/links.js"
+import attachmentsRouter from "./routes/attachments.js"
+import sharingRouter from "./routes/sharing.js"
+import shareLinksRouter from "./routes/shareLinks.js"
+import publicLinksRouter from "./routes/publicLinks.js"
 import tagsRouter from "./routes/tags.js"
+import savedSearchesRouter from "./routes/savedSearches.js"
+import revisionsRouter from "./routes/revisions.js"
+import syncRouter from "./routes/sync.js"
+import eventsRouter from "./routes/events.js"
+import workspacesRouter from "./routes/workspaces.js"
+import { runReencryptionJob } from "./utils/reencryption.js"
+import { startBinPurgeSchedule } from "./utils/binPurge.js"
+import { startReminderSchedule } from "./utils/reminders.js"
+import { getAttachmentMaxBytes } from "./utils/attachments.js"
 
 dotenv.config()
 await mongoose.connect(process.env.MONGO_URI)
@@ -12,12 +27,50 @@ await mongoose.connect(process.env.MONGO_URI)
 const app = express()
 const port = process.env.PORT || 3000
 
+// Offline clients push queues of whole notes, so allow larger sync bodies
+app.use('/api/notes/sync', express.json({ limit: '5mb' }));
+// Code snippets carry several files, each with its own size limit
+app.use('/api/notes/add-note', express.json({ limit: '2mb' }));
+app.use('/api/notes/update-note', express.json({ limit: '2mb' }));
+// Attachments are uploaded as the raw request body, whatever their type
+app.use('/api/notes/:id/attachments', express.raw({ type: () => true, limit: getAttachmentMaxBytes() }));
 app.use(express.json());
 app.use(cors());
 app.use('/api/auth', authRouter);
 app.use('/api/notes', notesRouter);
+app.use('/api/notes', checklistsRouter);
+app.use('/api/notes', linksRouter);
+app.use('/api/notes', attachmentsRouter);
+app.use('/api/notes', sharingRouter);
+app.use('/api/notes', shareLinksRouter);
+app.use('/api/notes', revisionsRouter);
+app.use('/api/notes', syncRouter);
 app.use('/api/tags', tagsRouter);
+app.use('/api/saved-searches', savedSearchesRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/workspaces', workspacesRouter);
+// Public read-only share links, opened without an account
+app.use('/s', publicLinksRouter);
 
 app.listen(port, () => {
   console.log(`Example app listening on port ${port}`)
-})
\ No newline at end of file
+})
+
+// Permanently delete notes that have been in the bin longer than BIN_RETENTION_DAYS
+startBinPurgeSchedule()
+
+// Deliver due note reminders through the notifier picked by REMINDER_NOTIFIER
+startReminderSchedule()
+
+// Rewrite data encrypted under retired keys in the background after a key rotation
+if (process.env.REENCRYPT_ON_START === "true") {
+  runReencryptionJob({
+    onProgress: ({ keyId, collection, scanned, reencrypted }) => {
+      console.log(`Re-encryption to key "${keyId}": ${collection} scanned ${scanned}, re-encrypted ${reencrypted}`)
+    }
+  }).then(job => {
+    console.log(`Re-encryption to key "${job.keyId}" ${job.status}${job.error ? `: ${job.error}` : ""}`)
+  }).catch(error => {
+    console.error("Re-encryption failed:", error)
+  })
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { AccountToken } from "../models/AccountToken.js";
+import { User } from "../models/User.js";
+import { setMailer } from "../utils/mailer.js";
+import { sendPasswordResetEmail, sendVerificationEmail, consumeAccountToken, isInCooldown } from "../utils/accountTokens.js";
+import { getUnverifiedBlockedFeatures, getUnverifiedMaxNotes, checkFeatureAllowed, isEmailUnverified } from "../utils/verification.js";
+
+const user = { _id: "u1", name: "Ada", email: "ada@example.com" };
+
+// Settings the tests change, cleared before each one
+const SETTINGS = ["APP_URL", "PASSWORD_RESET_TTL_MINUTES", "UNVERIFIED_BLOCKED_FEATURES", "UNVERIFIED_MAX_NOTES"];
+beforeEach(() => SETTINGS.forEach(name => delete process.env[name]));
+
+// Keep account tokens in memory and the emails sent in a list
+const stubTokens = (t) => {
+  const tokens = [];
+  const emails = [];
+  const matches = (doc, condition) => Object.entries(condition).every(([key, value]) => (
+    value?.$gt ? doc[key] > value.$gt : String(doc[key]) === String(value)
+  ));
+  t.mock.method(AccountToken, "deleteMany", async (condition) => {
+    tokens.splice(0, tokens.length, ...tokens.filter(doc => !matches(doc, condition)));
+  });
+  t.mock.method(AccountToken, "create", async (fields) => {
+    tokens.push({ ...fields, createdAt: new Date() });
+  });
+  t.mock.method(AccountToken, "findOneAndDelete", (condition) => ({
+    lean: async () => {
+      const index = tokens.findIndex(doc => matches(doc, condition));
+      return index === -1 ? null : tokens.splice(index, 1)[0];
+    }
+  }));
+  t.mock.method(AccountToken, "exists", async (condition) => (tokens.some(doc => matches(doc, condition)) ? {} : null));
+  setMailer({ send: async (message) => emails.push(message) });
+  t.after(() => setMailer(null));
+  return { tokens, emails };
+};
+
+// The token in the link of an email
+const tokenOf = (email) => new URL(email.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+describe("account tokens", () => {
+  it("are emailed as a link and only their hash is stored", async (t) => {
+    process.env.APP_URL = "https://app.example.com/";
+    const { tokens, emails } = stubTokens(t);
+    await sendPasswordResetEmail(user);
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].to, "ada@example.com");
+    assert.match(emails[0].text, /https:\/\/app\.example\.com\/reset-password\?token=/);
+    const token = tokenOf(emails[0]);
+    assert.equal(tokens.length, 1);
+    assert.ok(!JSON.stringify(tokens).includes(token));
+  });
+
+  it("work once and only for their purpose", async (t) => {
+    process.env.APP_URL = "https://app.example.com";
+    const { emails } = stubTokens(t);
+    await sendPasswordResetEmail(user);
+    const token = tokenOf(emails[0]);
+    assert.equal(await consumeAccountToken(token, "email-verification"), null);
+    assert.equal(await consumeAccountToken(token, "password-reset"), "u1");
+    assert.equal(await consumeAccountToken(token, "password-reset"), null);
+    assert.equal(await consumeAccountToken(undefined, "password-reset"), null);
+  });
+
+  it("expire after the configured time", async (t) => {
+    process.env.APP_URL = "https://app.example.com";
+    process.env.PASSWORD_RESET_TTL_MINUTES = "5";
+    const { tokens, emails } = stubTokens(t);
+    await sendPasswordResetEmail(user);
+    const minutes = (tokens[0].expiresAt - Date.now()) / 60000;
+    assert.ok(minutes > 4.9 && minutes <= 5, String(minutes));
+    assert.match(emails[0].text, /expires in 5 minutes/);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await consumeAccountToken(tokenOf(emails[0]), "password-reset"), null);
+  });
+
+  it("replace the earlier token of the same kind and start a cooldown", async (t) => {
+    process.env.APP_URL = "https://app.example.com";
+    const { emails } = stubTokens(t);
+    assert.equal(await isInCooldown("u1", "password-reset"), false);
+    await sendVerificationEmail(user);
+    await sendPasswordResetEmail(user);
+    await sendPasswordResetEmail(user);
+    assert.equal(await isInCooldown("u1", "password-reset"), true);
+    const [verification, first, second] = emails.map(tokenOf);
+    assert.equal(await consumeAccountToken(first, "password-reset"), null);
+    assert.equal(await consumeAccountToken(second, "password-reset"), "u1");
+    assert.equal(await consumeAccountToken(verification, "email-verification"), "u1");
+  });
+});
+
+describe("unverified accounts", () => {
+  it("are blocked from sharing, attachments and workspaces unless configured", () => {
+    assert.deepEqual(getUnverifiedBlockedFeatures(), ["sharing", "attachments", "workspaces"]);
+    process.env.UNVERIFIED_BLOCKED_FEATURES = "sharing, unknown ,workspaces";
+    assert.deepEqual(getUnverifiedBlockedFeatures(), ["sharing", "workspaces"]);
+    process.env.UNVERIFIED_BLOCKED_FEATURES = "none";
+    assert.deepEqual(getUnverifiedBlockedFeatures(), []);
+  });
+
+  it("keep 50 notes by default, 0 lifts the limit", () => {
+    assert.equal(getUnverifiedMaxNotes(), 50);
+    process.env.UNVERIFIED_MAX_NOTES = "0";
+    assert.equal(getUnverifiedMaxNotes(), 0);
+    process.env.UNVERIFIED_MAX_NOTES = "lots";
+    assert.equal(getUnverifiedMaxNotes(), 50);
+  });
+
+  it("get a 403 for blocked features, older accounts count as verified", async (t) => {
+    const accounts = { new: { emailVerified: false }, old: {}, verified: { emailVerified: true } };
+    t.mock.method(User, "findById", (id) => ({ select: () => ({ lean: async () => accounts[id] }) }));
+    await assert.rejects(checkFeatureAllowed("new", "sharing"), (error) => error.status === 403);
+    await checkFeatureAllowed("old", "sharing");
+    await checkFeatureAllowed("verified", "sharing");
+    assert.equal(isEmailUnverified(accounts.old), false);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/User.js";
+import { Workspace } from "../models/Workspace.js";
+import { Note } from "../models/Note.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import { Tag } from "../models/Tag.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+
+// The keyring is read when the module loads, so the server key is set before importing it
+let encryption, getDataKey;
+before(async () => {
+  Object.assign(process.env, { NOTE_SECRET_KEY: "abcdefghijklmnopqrstuvwxyz012345", NOTE_KEYS: "", NOTE_CURRENT_KEY_ID: "" });
+  encryption = await import("../utils/encryption.js");
+  ({ getDataKey } = await import("../utils/dataKeys.js"));
+});
+
+// Serve findById(...).select(...).lean() from a map of documents by id
+const stubFindById = (t, Model, docs) => {
+  t.mock.method(Model, "findById", (id) => ({
+    select: () => ({ lean: async () => docs[id] ?? null })
+  }));
+};
+
+describe("data keys", () => {
+  it("wrap under the server key and unwrap to the same key", () => {
+    const { generateDataKey, wrapDataKey, unwrapDataKey } = encryption;
+    const dataKey = generateDataKey();
+    assert.equal(dataKey.length, 32);
+    const wrapped = wrapDataKey(dataKey);
+    assert.match(wrapped, /^v2:default:/);
+    assert.ok(!wrapped.includes(dataKey.toString("hex")));
+    assert.deepEqual(unwrapDataKey(wrapped), dataKey);
+  });
+
+  it("encrypt values only their owner's key can read", () => {
+    const { encrypt, decrypt, generateDataKey, isDataKeyCiphertext } = encryption;
+    const dataKey = generateDataKey();
+    const value = encrypt("private note", dataKey);
+    assert.match(value, /^v3:/);
+    assert.equal(isDataKeyCiphertext(value), true);
+    assert.equal(decrypt(value, dataKey), "private note");
+    assert.throws(() => decrypt(value), /A data key is required/);
+    assert.throws(() => decrypt(value, generateDataKey()));
+  });
+
+  it("encrypt attachments with the data key and detect tampering", () => {
+    const { encryptBuffer, decryptBuffer, generateDataKey } = encryption;
+    const dataKey = generateDataKey();
+    const blob = encryptBuffer(Buffer.from("file contents"), dataKey);
+    assert.equal(decryptBuffer(blob, dataKey).toString(), "file contents");
+    blob[blob.length - 1] ^= 1;
+    assert.throws(() => decryptBuffer(blob, dataKey));
+  });
+});
+
+describe("getDataKey", () => {
+  it("unwraps the key of a user or a workspace", async (t) => {
+    const { generateDataKey, wrapDataKey } = encryption;
+    const userKey = generateDataKey();
+    const workspaceKey = generateDataKey();
+    stubFindById(t, User, { user: { _id: "user", dataKey: wrapDataKey(userKey) } });
+    stubFindById(t, Workspace, { space: { _id: "space", dataKey: wrapDataKey(workspaceKey) } });
+    assert.deepEqual(await getDataKey("user"), userKey);
+    assert.deepEqual(await getDataKey("space"), workspaceKey);
+    await assert.rejects(getDataKey("nobody"), /User not found/);
+  });
+
+  it("refuses to replace a shredded key while data encrypted under it remains", async (t) => {
+    stubFindById(t, User, { user: { _id: "user", dataKey: null } });
+    t.mock.method(Note, "exists", async () => ({ _id: "note" }));
+    for (const Model of [NoteRevision, Tag, SavedSearch]) t.mock.method(Model, "exists", async () => null);
+    const update = t.mock.method(User, "updateOne", async () => ({}));
+    await assert.rejects(getDataKey("user"), (error) => error.status === 410);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines } from "../utils/diff.js";
+
+// Rebuild both texts from a diff, to check nothing was lost
+const sides = (changes) => ({
+  oldText: changes.filter(c => c.type !== "added").map(c => c.line).join("\n"),
+  newText: changes.filter(c => c.type !== "removed").map(c => c.line).join("\n")
+});
+
+describe("diffLines", () => {
+  it("marks every line equal for identical texts", () => {
+    assert.deepEqual(diffLines("a\nb", "a\nb"), [{ type: "equal", line: "a" }, { type: "equal", line: "b" }]);
+  });
+
+  it("finds added and removed lines around unchanged ones", () => {
+    assert.deepEqual(diffLines("a\nb\nc", "a\nc\nd"), [
+      { type: "equal", line: "a" },
+      { type: "removed", line: "b" },
+      { type: "equal", line: "c" },
+      { type: "added", line: "d" }
+    ]);
+  });
+
+  it("keeps the longest common subsequence of the lines", () => {
+    const changes = diffLines("x\na\nb\nc\ny", "x\nb\nq\nc\na\ny");
+    assert.deepEqual(changes.filter(c => c.type === "equal").map(c => c.line), ["x", "b", "c", "y"]);
+    assert.deepEqual(sides(changes), { oldText: "x\na\nb\nc\ny", newText: "x\nb\nq\nc\na\ny" });
+  });
+
+  it("handles empty texts", () => {
+    assert.deepEqual(diffLines("", "a"), [{ type: "removed", line: "" }, { type: "added", line: "a" }]);
+    assert.deepEqual(diffLines("", ""), [{ type: "equal", line: "" }]);
+  });
+
+  it("shows very large changes as a full replacement", () => {
+    const oldText = Array.from({ length: 2500 }, (_, i) => `old ${i}`).join("\n");
+    const newText = Array.from({ length: 2500 }, (_, i) => `new ${i}`).join("\n");
+    const changes = diffLines(`same\n${oldText}`, `same\n${newText}`);
+    assert.deepEqual(changes[0], { type: "equal", line: "same" });
+    assert.ok(changes.slice(1, 2501).every(c => c.type === "removed"));
+    assert.ok(changes.slice(2501).every(c => c.type === "added"));
+  });
+});
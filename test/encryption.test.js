@@ -0,0 +1,62 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const SECRET_KEY = "abcdefghijklmnopqrstuvwxyz012345";
+const LEGACY_IV = "0123456789abcdef";
+
+// The keyring is read when the module loads, so the keys are set before importing it
+let encrypt, decrypt, needsReencryption;
+before(async () => {
+  Object.assign(process.env, { NOTE_SECRET_KEY: SECRET_KEY, NOTE_IV: LEGACY_IV, NOTE_KEYS: "", NOTE_CURRENT_KEY_ID: "" });
+  ({ encrypt, decrypt, needsReencryption } = await import("../utils/encryption.js"));
+});
+
+// Values as the earlier formats stored them, under NOTE_SECRET_KEY
+const legacyEncrypt = (text) => {
+  const cipher = crypto.createCipheriv("aes-256-cbc", Buffer.from(SECRET_KEY), LEGACY_IV);
+  return cipher.update(text, "utf-8", "hex") + cipher.final("hex");
+};
+const v1Encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", Buffer.from(SECRET_KEY), iv);
+  const encrypted = cipher.update(text, "utf-8", "hex") + cipher.final("hex");
+  return ["v1", iv.toString("hex"), cipher.getAuthTag().toString("hex"), encrypted].join(":");
+};
+
+// Flip the last hex digit of a value
+const tamper = (value) => value.replace(/.$/, c => (c === "0" ? "1" : "0"));
+
+describe("encrypt and decrypt", () => {
+  it("round trip text, including empty and non-ASCII text", () => {
+    for (const text of ["", "hello", "Ünïcødé ✓ 日本語", "x".repeat(10000)]) {
+      assert.equal(decrypt(encrypt(text)), text);
+    }
+  });
+
+  it("use a fresh IV for every value", () => {
+    const first = encrypt("same text");
+    const second = encrypt("same text");
+    assert.notEqual(first, second);
+    assert.notEqual(first.split(":")[2], second.split(":")[2]);
+  });
+
+  it("reject values whose ciphertext or auth tag was changed", () => {
+    const value = encrypt("secret");
+    assert.throws(() => decrypt(tamper(value)));
+    const parts = value.split(":");
+    parts[3] = tamper(parts[3]);
+    assert.throws(() => decrypt(parts.join(":")));
+  });
+
+  it("read the legacy CBC format and v1 values", () => {
+    assert.equal(decrypt(legacyEncrypt("old note")), "old note");
+    assert.equal(decrypt(v1Encrypt("newer note")), "newer note");
+  });
+
+  it("mark legacy and v1 values for migration but not current ones", () => {
+    assert.equal(needsReencryption(legacyEncrypt("old note")), true);
+    assert.equal(needsReencryption(v1Encrypt("newer note")), true);
+    assert.equal(needsReencryption(encrypt("current")), false);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { subscribeUserEvents, publishNoteEvent, publishNoteDeleted } from "../utils/events.js";
+
+// Collect the events published to each user while run is called
+const collectEvents = async (userIds, run) => {
+  const events = Object.fromEntries(userIds.map(id => [id, []]));
+  const unsubscribes = await Promise.all(userIds.map(id => subscribeUserEvents(id, event => events[id].push(event))));
+  run();
+  await new Promise(resolve => setImmediate(resolve));
+  unsubscribes.forEach(unsubscribe => unsubscribe());
+  return events;
+};
+
+describe("note events", () => {
+  it("reach the owner and every collaborator without the search index", async () => {
+    const note = { _id: "n1", user: "owner", title: "v3:x", searchTokens: ["t"], titleToken: "t", collaborators: [{ user: "friend", role: "editor" }] };
+    const events = await collectEvents(["owner", "friend", "stranger"], () => publishNoteEvent("owner", "note.updated", note));
+    assert.equal(events.owner.length, 1);
+    assert.deepEqual(events.friend, events.owner);
+    assert.deepEqual(events.stranger, []);
+    assert.equal(events.friend[0].note.user, "owner");
+    assert.equal(events.friend[0].note.searchTokens, undefined);
+    assert.equal(events.friend[0].note.titleToken, undefined);
+  });
+
+  it("tell collaborators about deleted notes", async () => {
+    const events = await collectEvents(["owner", "friend"], () => publishNoteDeleted("owner", "n1", [{ user: "friend" }]));
+    assert.deepEqual(events.friend, [{ type: "note.deleted", noteId: "n1" }]);
+    assert.deepEqual(events.owner, events.friend);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const OLD_KEY = crypto.randomBytes(32);
+const NEW_KEY = crypto.randomBytes(32);
+
+// The keyring is read when the module loads: NOTE_SECRET_KEY, then "2023" and "2024"
+let encrypt, decrypt, needsReencryption, getCurrentKeyId;
+before(async () => {
+  Object.assign(process.env, {
+    NOTE_SECRET_KEY: "abcdefghijklmnopqrstuvwxyz012345",
+    NOTE_KEYS: `2023:${OLD_KEY.toString("hex")}, 2024:${NEW_KEY.toString("hex")}`,
+    NOTE_CURRENT_KEY_ID: ""
+  });
+  ({ encrypt, decrypt, needsReencryption, getCurrentKeyId } = await import("../utils/encryption.js"));
+});
+
+// A value as it was written while keyId was the current key
+const encryptWith = (text, keyId, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const encrypted = cipher.update(text, "utf-8", "hex") + cipher.final("hex");
+  return ["v2", keyId, iv.toString("hex"), cipher.getAuthTag().toString("hex"), encrypted].join(":");
+};
+
+describe("keyring", () => {
+  it("writes with the newest key and names it in the value", () => {
+    assert.equal(getCurrentKeyId(), "2024");
+    const value = encrypt("note");
+    assert.match(value, /^v2:2024:/);
+    assert.equal(decrypt(value), "note");
+  });
+
+  it("still reads values written under older keys", () => {
+    assert.equal(decrypt(encryptWith("rotated", "2023", OLD_KEY)), "rotated");
+  });
+
+  it("marks values under an older key for re-encryption", () => {
+    assert.equal(needsReencryption(encryptWith("rotated", "2023", OLD_KEY)), true);
+    assert.equal(needsReencryption(encrypt("current")), false);
+  });
+
+  it("fails on a key id that is not in the keyring", () => {
+    assert.throws(() => decrypt(encryptWith("lost", "2022", OLD_KEY)), /Encryption key "2022" is not in the keyring/);
+  });
+
+  it("rejects a value under a known id but the wrong key", () => {
+    assert.throws(() => decrypt(encryptWith("forged", "2024", OLD_KEY)));
+  });
+});
+
+describe("keyring configuration", () => {
+  // Load a fresh copy of the module with other settings, each import gets its own keyring
+  const loadWith = async (env) => {
+    const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    try {
+      return await import(`../utils/encryption.js?config=${crypto.randomUUID()}`);
+    } finally {
+      Object.assign(process.env, saved);
+    }
+  };
+
+  it("uses NOTE_CURRENT_KEY_ID when it is set", async () => {
+    const { encrypt: encryptPinned } = await loadWith({ NOTE_CURRENT_KEY_ID: "2023" });
+    assert.match(encryptPinned("note"), /^v2:2023:/);
+  });
+
+  it("refuses malformed entries and a current key missing from the keyring", async () => {
+    await assert.rejects(loadWith({ NOTE_KEYS: "2025:not-hex" }), /Invalid NOTE_KEYS entry "2025"/);
+    await assert.rejects(loadWith({ NOTE_CURRENT_KEY_ID: "2030" }), /Current encryption key "2030" is not in the keyring/);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { createSmtpMailer, createFileMailer } from "../utils/mailer.js";
+
+// Minimal SMTP server on a free local port, recording the envelope and data of
+// every message it accepts
+const startSmtpServer = async () => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let message = { from: null, to: [], data: "" };
+    let readingData = false;
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.write("220 localhost test server\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (readingData) {
+          if (line === ".") {
+            readingData = false;
+            messages.push(message);
+            message = { from: null, to: [], data: "" };
+            socket.write("250 OK queued\r\n");
+          } else {
+            message.data += `${line.replace(/^\./, "")}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write("250 localhost\r\n");
+        } else if (/^MAIL FROM:/i.test(line)) {
+          message.from = line.match(/<(.*)>/)[1];
+          socket.write("250 OK\r\n");
+        } else if (/^RCPT TO:/i.test(line)) {
+          message.to.push(line.match(/<(.*)>/)[1]);
+          socket.write("250 OK\r\n");
+        } else if (/^DATA/i.test(line)) {
+          readingData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (/^QUIT/i.test(line)) {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { port: server.address().port, messages, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+const message = {
+  to: "ada@example.com",
+  subject: "Reset your password",
+  text: "Open the link to choose a new password.",
+  messageId: "<reset-1@snipkeep.local>"
+};
+
+describe("SMTP mailer", () => {
+  it("hands the message to the SMTP server", async (t) => {
+    const server = await startSmtpServer();
+    t.after(server.close);
+    const mailer = createSmtpMailer({ host: "127.0.0.1", port: server.port, from: "SnipKeep <no-reply@snipkeep.local>" });
+    await mailer.send(message);
+    assert.equal(server.messages.length, 1);
+    const [sent] = server.messages;
+    assert.equal(sent.from, "no-reply@snipkeep.local");
+    assert.deepEqual(sent.to, ["ada@example.com"]);
+    assert.match(sent.data, /^Subject: Reset your password$/m);
+    assert.match(sent.data, /^Message-ID: <reset-1@snipkeep\.local>$/m);
+    assert.match(sent.data, /Open the link to choose a new password\./);
+  });
+
+  it("fails when the server can't be reached", async () => {
+    const server = await startSmtpServer();
+    await server.close();
+    const mailer = createSmtpMailer({ host: "127.0.0.1", port: server.port, from: "no-reply@snipkeep.local" });
+    await assert.rejects(mailer.send(message));
+  });
+});
+
+describe("file mailer", () => {
+  it("writes each message to an .eml file", async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "snipkeep-mail-"));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const mailer = createFileMailer({ from: "no-reply@snipkeep.local", directory });
+    await mailer.send(message);
+    await mailer.send({ ...message, messageId: undefined });
+    const files = await fs.readdir(directory);
+    assert.equal(files.length, 2);
+    assert.ok(files.every(file => file.endsWith(".eml")));
+    const contents = await Promise.all(files.map(file => fs.readFile(path.join(directory, file), "utf8")));
+    assert.ok(contents.some(raw => raw.includes("Message-ID: <reset-1@snipkeep.local>")));
+    for (const raw of contents) {
+      assert.match(raw, /^To: ada@example\.com$/m);
+      assert.match(raw, /^Subject: Reset your password$/m);
+    }
+  });
+});
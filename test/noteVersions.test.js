@@ -0,0 +1,115 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { Note } from "../models/Note.js";
+import { Tag } from "../models/Tag.js";
+import { User } from "../models/User.js";
+import { getExpectedVersion } from "../middlewares/validation.js";
+
+// The keyring is read when the module loads, so the server key is set before importing it
+let encryption, noteUtils;
+before(async () => {
+  Object.assign(process.env, { NOTE_SECRET_KEY: "abcdefghijklmnopqrstuvwxyz012345", NOTE_KEYS: "", NOTE_CURRENT_KEY_ID: "" });
+  encryption = await import("../utils/encryption.js");
+  noteUtils = await import("../utils/noteUtils.js");
+});
+
+// Just enough of a request for reading the expected version
+const request = (headers = {}, body = {}) => ({ header: name => headers[name], body });
+
+// A stored note of "user" at a version, with its title encrypted under dataKey
+const storedNote = (dataKey, version) => ({
+  _id: "n1",
+  user: "user",
+  title: encryption.encrypt("Server title", dataKey),
+  content: encryption.encrypt("", dataKey),
+  tag: [],
+  ...(version !== undefined && { version })
+});
+
+describe("getExpectedVersion", () => {
+  it("reads If-Match, plain, quoted or weak", () => {
+    assert.equal(getExpectedVersion(request({ "If-Match": "3" })), 3);
+    assert.equal(getExpectedVersion(request({ "If-Match": '"3"' })), 3);
+    assert.equal(getExpectedVersion(request({ "If-Match": 'W/"0"' })), 0);
+  });
+
+  it("falls back to expectedVersion in the body, If-Match wins", () => {
+    assert.equal(getExpectedVersion(request({}, { expectedVersion: 4 })), 4);
+    assert.equal(getExpectedVersion(request({ "If-Match": "5" }, { expectedVersion: 4 })), 5);
+  });
+
+  it("is undefined without a version or with If-Match *", () => {
+    assert.equal(getExpectedVersion(request()), undefined);
+    assert.equal(getExpectedVersion(request({ "If-Match": "*" })), undefined);
+  });
+
+  it("rejects versions that are not whole numbers from 0", () => {
+    for (const value of ["abc", "-1", "1.5"]) {
+      assert.throws(() => getExpectedVersion(request({ "If-Match": value })), /Invalid note version/);
+    }
+  });
+});
+
+describe("checkNoteVersion", () => {
+  it("passes for the current version or when no version is expected", async () => {
+    const dataKey = encryption.generateDataKey();
+    await noteUtils.checkNoteVersion(storedNote(dataKey, 2), 2, dataKey);
+    await noteUtils.checkNoteVersion(storedNote(dataKey, 2), undefined, dataKey);
+    // Notes saved before versioning count as version 0
+    await noteUtils.checkNoteVersion(storedNote(dataKey), 0, dataKey);
+  });
+
+  it("throws a 409 conflict carrying the decrypted server copy", async (t) => {
+    t.mock.method(Tag, "find", () => ({ lean: async () => [] }));
+    const dataKey = encryption.generateDataKey();
+    const error = await noteUtils.checkNoteVersion(storedNote(dataKey, 3), 2, dataKey).then(() => null, e => e);
+    assert.equal(error.message, "Version conflict");
+    assert.equal(noteUtils.getErrorStatus(error), 409);
+    const body = noteUtils.getErrorBody(error);
+    assert.equal(body.current.title, "Server title");
+    assert.equal(body.current.version, 3);
+  });
+});
+
+describe("updateNoteIfCurrent", () => {
+  it("only updates the note at the expected version and bumps it", async (t) => {
+    const filters = [];
+    t.mock.method(Note, "findOneAndUpdate", (filter, update) => {
+      filters.push(filter);
+      return { lean: async () => ({ _id: "n1", user: "user", version: 1, ...update.$set }) };
+    });
+    await noteUtils.updateNoteIfCurrent("n1", "user", 0, { $set: { colour: "mint" } });
+    await noteUtils.updateNoteIfCurrent("n1", "user", 4, { $set: { colour: "mint" } });
+    await noteUtils.updateNoteIfCurrent("n1", "user", undefined, { $set: { colour: "mint" } });
+    assert.deepEqual(filters, [
+      { _id: "n1", user: "user", version: { $in: [0, null] } },
+      { _id: "n1", user: "user", version: 4 },
+      { _id: "n1", user: "user" }
+    ]);
+    assert.deepEqual(Note.findOneAndUpdate.mock.calls[0].arguments[1].$inc, { version: 1 });
+  });
+
+  it("reports a conflict when someone changed the note first", async (t) => {
+    const dataKey = encryption.generateDataKey();
+    t.mock.method(Note, "findOneAndUpdate", () => ({ lean: async () => null }));
+    t.mock.method(Note, "findById", () => ({ lean: async () => storedNote(dataKey, 5) }));
+    t.mock.method(User, "findById", () => ({
+      select: () => ({ lean: async () => ({ _id: "user", dataKey: encryption.wrapDataKey(dataKey) }) })
+    }));
+    t.mock.method(Tag, "find", () => ({ lean: async () => [] }));
+    await assert.rejects(noteUtils.updateNoteIfCurrent("n1", "user", 4, { $set: { colour: "mint" } }), (error) => {
+      assert.equal(error.message, "Version conflict");
+      assert.equal(error.current.version, 5);
+      assert.equal(error.current.title, "Server title");
+      return true;
+    });
+  });
+
+  it("reports a missing note or another user's note instead of a conflict", async (t) => {
+    t.mock.method(Note, "findOneAndUpdate", () => ({ lean: async () => null }));
+    const findById = t.mock.method(Note, "findById", () => ({ lean: async () => null }));
+    await assert.rejects(noteUtils.updateNoteIfCurrent("n1", "user", 1, { $set: {} }), /Note not found/);
+    findById.mock.mockImplementation(() => ({ lean: async () => ({ _id: "n1", user: "someone else", version: 1 }) }));
+    await assert.rejects(noteUtils.updateNoteIfCurrent("n1", "user", 1, { $set: {} }), /Access denied/);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { Note } from "../models/Note.js";
+import { encrypt } from "../utils/encryption.js";
+import { buildTitleSortKey } from "../utils/searchIndex.js";
+import { encodeCursor, decodeCursor, parsePaginationParams, paginateNotes, REMINDER_SORT_OPTIONS } from "../utils/pagination.js";
+
+const dataKey = crypto.randomBytes(32);
+
+// Check a stored note against the parts of a MongoDB condition pagination uses
+const matchesCondition = (doc, condition) => Object.entries(condition).every(([key, value]) => {
+  if (key === "$and") return value.every(part => matchesCondition(doc, part));
+  if (key === "$or") return value.some(part => matchesCondition(doc, part));
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.entries(value).every(([operator, operand]) => {
+      if (operator === "$lt") return doc[key] < operand;
+      if (operator === "$gt") return doc[key] > operand;
+      if (operator === "$in") return operand.includes(doc[key]);
+      if (operator === "$type") return typeof doc[key] === operand;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+  return doc[key]?.valueOf() === value?.valueOf();
+});
+
+// Serve Note.find from an in-memory list of notes, recording the limit and the
+// selected fields of the queries
+const stubNotes = (t, docs) => {
+  const limits = [];
+  const selects = [];
+  t.mock.method(Note, "find", (condition) => {
+    let found = docs.filter(doc => matchesCondition(doc, condition));
+    const chain = {
+      select: (fields) => {
+        selects.push(fields);
+        return chain;
+      },
+      sort: (spec) => {
+        const fields = Object.entries(spec);
+        found = [...found].sort((a, b) => {
+          for (const [field, direction] of fields) {
+            if (a[field] < b[field]) return -direction;
+            if (a[field] > b[field]) return direction;
+          }
+          return 0;
+        });
+        return chain;
+      },
+      limit: (count) => {
+        limits.push(count);
+        found = found.slice(0, count);
+        return chain;
+      },
+      lean: async () => found
+    };
+    return chain;
+  });
+  t.mock.method(Note, "findOne", (condition) => {
+    const query = Note.find(condition);
+    const chain = {
+      sort: (spec) => (query.sort(spec), chain),
+      select: () => chain,
+      lean: async () => (await query.lean())[0] ?? null
+    };
+    return chain;
+  });
+  return { limits, selects };
+};
+
+// Notes with ids "n00", "n01"... created one minute apart, "n00" first
+const makeNotes = (count) => Array.from({ length: count }, (_, i) => ({
+  _id: `n${String(i).padStart(2, "0")}`,
+  user: "user",
+  title: encrypt(i % 10 === 0 ? "keep" : `skip ${String.fromCharCode(122 - i % 26)}`, dataKey),
+  content: encrypt("", dataKey),
+  createdAt: new Date(Date.UTC(2024, 0, 1, 0, i))
+}));
+
+describe("pagination cursors", () => {
+  it("decode to the position they were encoded from", () => {
+    const position = { bucket: "3a", title: "Apples", id: "66a0f0f0f0f0f0f0f0f0f0f0" };
+    const cursor = encodeCursor("title", position, dataKey);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor, "title", dataKey), { sort: "title", ...position });
+  });
+
+  it("are opaque, a new one is made every time", () => {
+    const position = { value: "2024-01-01T00:00:00.000Z", id: "1" };
+    assert.notEqual(encodeCursor("updated", position, dataKey), encodeCursor("updated", position, dataKey));
+  });
+
+  it("are rejected for another sort, another user's key or tampering", () => {
+    const cursor = encodeCursor("updated", { value: "2024-01-01T00:00:00.000Z", id: "1" }, dataKey);
+    const tampered = Buffer.from(cursor, "base64url").toString().replace(/.$/, c => (c === "0" ? "1" : "0"));
+    assert.throws(() => decodeCursor(cursor, "created", dataKey), /Invalid cursor/);
+    assert.throws(() => decodeCursor(cursor, "updated", crypto.randomBytes(32)), /Invalid cursor/);
+    assert.throws(() => decodeCursor(Buffer.from(tampered).toString("base64url"), "updated", dataKey), /Invalid cursor/);
+    assert.throws(() => decodeCursor("not a cursor", "updated", dataKey), /Invalid cursor/);
+  });
+});
+
+describe("parsePaginationParams", () => {
+  it("defaults to the most recently updated notes first", () => {
+    assert.deepEqual(parsePaginationParams({}, dataKey), { sort: "updated", limit: 50, cursor: null });
+  });
+
+  it("decodes the cursor for the requested sort", () => {
+    const cursor = encodeCursor("created", { value: "2024-01-01T00:00:00.000Z", id: "1" }, dataKey);
+    assert.deepEqual(parsePaginationParams({ sort: "created", limit: "10", cursor }, dataKey).cursor, {
+      sort: "created", value: "2024-01-01T00:00:00.000Z", id: "1"
+    });
+  });
+
+  it("rejects unknown sorts and out of range limits", () => {
+    assert.throws(() => parsePaginationParams({ sort: "reminder" }, dataKey), /Invalid sort option/);
+    assert.equal(parsePaginationParams({ sort: "reminder" }, dataKey, REMINDER_SORT_OPTIONS).sort, "reminder");
+    for (const limit of ["0", "101", "2.5", "ten"]) {
+      assert.throws(() => parsePaginationParams({ limit }, dataKey), /Invalid limit/);
+    }
+  });
+});
+
+describe("paginateNotes by timestamp", () => {
+  it("pages through every note newest first", async (t) => {
+    stubNotes(t, makeNotes(5));
+    const first = await paginateNotes({}, { sort: "created", limit: 2, cursor: null }, dataKey, new Map());
+    assert.deepEqual(first.notes.map(note => note._id), ["n04", "n03"]);
+    const cursor = decodeCursor(first.nextCursor, "created", dataKey);
+    const second = await paginateNotes({}, { sort: "created", limit: 2, cursor }, dataKey, new Map());
+    assert.deepEqual(second.notes.map(note => note._id), ["n02", "n01"]);
+    const last = await paginateNotes({}, { sort: "created", limit: 2, cursor: decodeCursor(second.nextCursor, "created", dataKey) }, dataKey, new Map());
+    assert.deepEqual(last.notes.map(note => note._id), ["n00"]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it("loads fixed batches for a selective match instead of one note at a time", async (t) => {
+    const { limits } = stubNotes(t, makeNotes(50));
+    const match = note => note.title === "keep";
+    const page = await paginateNotes({}, { sort: "created", limit: 3, cursor: null }, dataKey, new Map(), match);
+    assert.deepEqual(page.notes.map(note => note._id), ["n40", "n30", "n20"]);
+    assert.deepEqual(limits, [101]);
+    // The cursor points at the last note kept, not the last one loaded
+    const cursor = decodeCursor(page.nextCursor, "created", dataKey);
+    assert.equal(cursor.id, "n20");
+    const next = await paginateNotes({}, { sort: "created", limit: 3, cursor }, dataKey, new Map(), match);
+    assert.deepEqual(next.notes.map(note => note._id), ["n10", "n00"]);
+    assert.equal(next.nextCursor, null);
+  });
+});
+
+describe("paginateNotes by title", () => {
+  it("orders by title and decrypts the titles once per listing", async (t) => {
+    const { selects } = stubNotes(t, makeNotes(5));
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await paginateNotes({}, { sort: "title", limit: 2, cursor }, dataKey, new Map());
+      pages.push(page.notes.map(note => note._id));
+      cursor = page.nextCursor && decodeCursor(page.nextCursor, "title", dataKey);
+    } while (cursor);
+    assert.deepEqual(pages, [["n00", "n04"], ["n03", "n02"], ["n01"]]);
+    assert.deepEqual(selects, ["user title"]);
+  });
+
+  it("walks the title buckets in order when title sort keys are on", async (t) => {
+    process.env.TITLE_SORT_KEYS = "true";
+    t.after(() => delete process.env.TITLE_SORT_KEYS);
+    const titles = ["beta", "Alpha", "", "2 things", "alps", "#tag", "Ápple"];
+    const notes = titles.map((title, i) => ({
+      _id: `n${i}`,
+      user: "user",
+      title: encrypt(title, dataKey),
+      content: encrypt("", dataKey),
+      titleSortKey: buildTitleSortKey(title)
+    }));
+    // A note indexed before title sort keys existed comes first
+    delete notes[1].titleSortKey;
+    const { selects } = stubNotes(t, notes);
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await paginateNotes({}, { sort: "title", limit: 3, cursor }, dataKey, new Map());
+      pages.push(page.notes.map(note => note.title));
+      cursor = page.nextCursor && decodeCursor(page.nextCursor, "title", dataKey);
+    } while (cursor);
+    assert.deepEqual(pages, [["Alpha", "", "#tag"], ["2 things", "alps", "Ápple"], ["beta"]]);
+    // One title load per bucket: none, "0", "1", "22", "3a" and "3b"
+    assert.equal(selects.filter(fields => fields === "user title").length, 6);
+  });
+});
+
+describe("paginateNotes with shared notes", () => {
+  it("decrypts each note with its owner's key and labels", async (t) => {
+    const ownerKey = crypto.randomBytes(32);
+    stubNotes(t, [
+      { _id: "own", user: "user", title: encrypt("Mine", dataKey), content: encrypt("", dataKey), tag: ["t1"], createdAt: new Date(2) },
+      { _id: "shared", user: "owner", title: encrypt("Theirs", ownerKey), content: encrypt("", ownerKey), tag: ["t1"], createdAt: new Date(1) }
+    ]);
+    const owners = new Map([["owner", { dataKey: ownerKey, tagNames: new Map([["t1", "Their label"]]) }]]);
+    const page = await paginateNotes({}, { sort: "created", limit: 10, cursor: null }, dataKey, new Map([["t1", "My label"]]), undefined, owners);
+    assert.deepEqual(page.notes.map(note => [note.title, note.tag.map(tag => tag.name)]), [
+      ["Mine", ["My label"]],
+      ["Theirs", ["Their label"]]
+    ]);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { nextReminderAt } from "../utils/reminders.js";
+
+describe("nextReminderAt", () => {
+  it("returns null for a one-off reminder", () => {
+    assert.equal(nextReminderAt(new Date("2024-01-01T09:00:00Z"), "none", new Date("2024-01-01T09:00:00Z")), null);
+  });
+
+  it("moves daily and weekly reminders to the next occurrence", () => {
+    const dueAt = new Date("2024-01-01T09:00:00Z");
+    assert.deepEqual(nextReminderAt(dueAt, "daily", dueAt), new Date("2024-01-02T09:00:00Z"));
+    assert.deepEqual(nextReminderAt(dueAt, "weekly", dueAt), new Date("2024-01-08T09:00:00Z"));
+  });
+
+  it("skips occurrences missed while the server was down", () => {
+    const dueAt = new Date("2024-01-01T09:00:00Z");
+    assert.deepEqual(nextReminderAt(dueAt, "daily", new Date("2024-01-05T10:00:00Z")), new Date("2024-01-06T09:00:00Z"));
+    assert.deepEqual(nextReminderAt(dueAt, "monthly", new Date("2024-03-15T00:00:00Z")), new Date("2024-04-01T09:00:00Z"));
+  });
+
+  it("never returns a time before the given one", () => {
+    const dueAt = new Date("2024-01-01T09:00:00Z");
+    assert.deepEqual(nextReminderAt(dueAt, "daily", new Date("2023-12-01T00:00:00Z")), new Date("2024-01-02T09:00:00Z"));
+  });
+
+  it("clamps monthly reminders to the last day of shorter months", () => {
+    const dueAt = new Date("2024-01-31T09:00:00Z");
+    assert.deepEqual(nextReminderAt(dueAt, "monthly", dueAt), new Date("2024-02-29T09:00:00Z"));
+    assert.deepEqual(nextReminderAt(dueAt, "monthly", new Date("2024-03-01T00:00:00Z")), new Date("2024-03-31T09:00:00Z"));
+  });
+});
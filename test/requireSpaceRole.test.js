@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import requireSpaceRole, { checkSpaceRole } from "../middlewares/requireSpaceRole.js";
+
+// Run the middleware on a request in a space with the given role, returning
+// the response status and body, or "next" when it let the request through
+const run = (required, role) => {
+  let result = null;
+  const res = {
+    status: (status) => ({ send: (body) => { result = { status, body }; } })
+  };
+  requireSpaceRole(required)({ space: { id: "space", role } }, res, () => { result = "next"; });
+  return result;
+};
+
+describe("requireSpaceRole", () => {
+  it("turns away plain workspace members with a 403", () => {
+    assert.deepEqual(run("admin", "member"), { status: 403, body: { error: "Admin access required" } });
+    assert.deepEqual(run("owner", "admin"), { status: 403, body: { error: "Only the workspace owner can do this" } });
+  });
+
+  it("lets admins, owners and the personal space through", () => {
+    assert.equal(run("admin", "admin"), "next");
+    // fetchWorkspace gives the personal space the owner role too
+    assert.equal(run("admin", "owner"), "next");
+    assert.equal(run("owner", "owner"), "next");
+  });
+});
+
+describe("checkSpaceRole", () => {
+  it("throws an error handleError maps to 403 for a member", () => {
+    assert.throws(() => checkSpaceRole({ role: "member" }, "admin"), /Admin access required/);
+    assert.doesNotThrow(() => checkSpaceRole({ role: "admin" }, "admin"));
+  });
+});
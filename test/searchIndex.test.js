@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { buildSearchIndex, buildTitleSortKey, buildTitleToken, textQueryTokens } from "../utils/searchIndex.js";
+
+const dataKey = crypto.randomBytes(32);
+
+// Whether every token of a search is in a note's index
+const finds = (index, searchText, key = dataKey) => textQueryTokens(searchText, key).every(token => index.searchTokens.includes(token));
+
+describe("blind index tokens", () => {
+  const note = {
+    title: "Deploy Checklist",
+    content: "Rotate the Kubernetes secrets",
+    items: [{ text: "notify on-call" }],
+    files: [{ filename: "deploy.sh", content: "kubectl apply" }]
+  };
+
+  it("find words by any prefix, ignoring case, in every part of a note", () => {
+    const index = buildSearchIndex(note, dataKey);
+    for (const search of ["deploy", "CHECK", "kubernetes secrets", "notify", "on call", "sh", "kubectl"]) {
+      assert.ok(finds(index, search), search);
+    }
+    assert.ok(!finds(index, "secretary"));
+    assert.ok(!finds(index, "ploy"));
+  });
+
+  it("match long words by their first eight characters", () => {
+    const index = buildSearchIndex({ content: "internationalization" }, dataKey);
+    assert.ok(finds(index, "internationally"));
+    assert.ok(index.searchTokens.length <= 8);
+  });
+
+  it("are keyed HMACs that reveal nothing of the words and differ per data key", () => {
+    const index = buildSearchIndex(note, dataKey);
+    assert.ok(index.searchTokens.every(token => /^[0-9a-f]{16}$/.test(token)));
+    assert.ok(!JSON.stringify(index).toLowerCase().includes("deploy"));
+    const otherKey = crypto.randomBytes(32);
+    assert.ok(!finds(index, "deploy", otherKey));
+    assert.deepEqual(buildSearchIndex(note, dataKey).searchTokens, index.searchTokens);
+  });
+
+  it("give whole titles a token that ignores case and surrounding spaces", () => {
+    assert.equal(buildSearchIndex(note, dataKey).titleToken, buildTitleToken("  deploy checklist ", dataKey));
+    assert.notEqual(buildTitleToken("Deploy", dataKey), buildTitleToken("Deploy Checklist", dataKey));
+    assert.equal(buildTitleToken("   ", dataKey), null);
+  });
+});
+
+describe("title sort keys", () => {
+  it("are only stored when TITLE_SORT_KEYS is on", (t) => {
+    assert.equal(buildSearchIndex({ title: "Apples" }, dataKey).titleSortKey, null);
+    process.env.TITLE_SORT_KEYS = "true";
+    t.after(() => delete process.env.TITLE_SORT_KEYS);
+    assert.equal(buildSearchIndex({ title: "Apples" }, dataKey).titleSortKey, "3a");
+  });
+
+  it("bucket titles by their first character in sort order", () => {
+    const keys = ["", "  #tag", "2 things", "Ápple", "zebra", "Ωmega"].map(buildTitleSortKey);
+    assert.deepEqual(keys, ["0", "1", "22", "3a", "3z", "4"]);
+    assert.deepEqual([...keys].sort(), keys);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { parseSearchQuery, matchesSearchQuery, buildSearchFilter, mentionsTrashed } from "../utils/searchQuery.js";
+
+const dataKey = crypto.randomBytes(32);
+const tagNames = new Map([["t1", "Work"], ["t2", "Homework"]]);
+
+const note = (fields = {}) => ({
+  title: "",
+  content: "",
+  items: [],
+  files: [],
+  tag: [],
+  colour: "default",
+  isPinned: false,
+  isArchived: false,
+  isDeleted: false,
+  updatedAt: "2024-06-01T00:00:00Z",
+  ...fields
+});
+
+describe("parseSearchQuery", () => {
+  it("ANDs terms next to each other and binds OR looser", () => {
+    assert.deepEqual(parseSearchQuery("a b OR c"), {
+      type: "or",
+      children: [
+        { type: "and", children: [{ type: "text", value: "a" }, { type: "text", value: "b" }] },
+        { type: "text", value: "c" }
+      ]
+    });
+  });
+
+  it("reads negations, groups, phrases and fields", () => {
+    assert.deepEqual(parseSearchQuery('-(tag:"My Label" OR is:pinned) "Release Notes"'), {
+      type: "and",
+      children: [
+        { type: "not", child: { type: "or", children: [{ type: "tag", value: "my label" }, { type: "is", value: "pinned" }] } },
+        { type: "text", value: "release notes" }
+      ]
+    });
+  });
+
+  it("treats unknown fields and quoted fields as text", () => {
+    assert.deepEqual(parseSearchQuery("foo:bar"), { type: "text", value: "foo:bar" });
+    assert.deepEqual(parseSearchQuery('"is:pinned"'), { type: "text", value: "is:pinned" });
+  });
+
+  it("parses dates of before and after", () => {
+    assert.deepEqual(parseSearchQuery("after:2024-01-01"), { type: "after", date: new Date("2024-01-01") });
+  });
+
+  it("throws a 400 error with the position of the problem", () => {
+    const cases = [
+      ["(a b", 4, 'expected ")"'],
+      ['a "b', 2, "unterminated quote"],
+      ["colour:teal", 7, 'unknown colour "teal"'],
+      ["before:yesterday", 7, 'invalid date "yesterday"'],
+      ["a OR", 4, "expected a search term"],
+      ["a )", 2, 'unexpected ")"']
+    ];
+    for (const [query, position, message] of cases) {
+      assert.throws(() => parseSearchQuery(query), (error) => {
+        assert.equal(error.status, 400);
+        assert.equal(error.position, position);
+        assert.match(error.message, new RegExp(message.replace(/[()]/g, "\\$&")));
+        return true;
+      }, query);
+    }
+  });
+});
+
+describe("mentionsTrashed", () => {
+  it("finds is:trashed anywhere in the query", () => {
+    assert.equal(mentionsTrashed(parseSearchQuery("a (b OR -is:trashed)")), true);
+    assert.equal(mentionsTrashed(parseSearchQuery("a is:pinned")), false);
+  });
+});
+
+describe("matchesSearchQuery", () => {
+  it("matches text in the title, content, items, files and label names", () => {
+    const ast = parseSearchQuery("needle");
+    assert.equal(matchesSearchQuery(ast, note({ title: "A Needle" })), true);
+    assert.equal(matchesSearchQuery(ast, note({ content: "haystack needle" })), true);
+    assert.equal(matchesSearchQuery(ast, note({ items: [{ text: "find the needle" }] })), true);
+    assert.equal(matchesSearchQuery(ast, note({ files: [{ filename: "needle.js", content: "" }] })), true);
+    assert.equal(matchesSearchQuery(ast, note({ tag: [{ name: "Needles" }] })), true);
+    assert.equal(matchesSearchQuery(ast, note({ title: "haystack" })), false);
+  });
+
+  it("evaluates fields, negation and or", () => {
+    const ast = parseSearchQuery("tag:work -is:archived (colour:mint OR lang:python) after:2024-01-01");
+    const matching = note({ tag: [{ name: "Work" }], colour: "mint" });
+    assert.equal(matchesSearchQuery(ast, matching), true);
+    assert.equal(matchesSearchQuery(ast, { ...matching, isArchived: true }), false);
+    assert.equal(matchesSearchQuery(ast, { ...matching, tag: [{ name: "Homework" }] }), false);
+    assert.equal(matchesSearchQuery(ast, { ...matching, colour: "default", language: "python" }), true);
+    assert.equal(matchesSearchQuery(ast, { ...matching, updatedAt: "2023-12-31T00:00:00Z" }), false);
+  });
+});
+
+describe("buildSearchFilter", () => {
+  it("translates exact terms", () => {
+    assert.deepEqual(buildSearchFilter(parseSearchQuery("is:pinned colour:mint"), { dataKey, tagNames }), {
+      $and: [{ isPinned: true }, { colour: "mint" }]
+    });
+    assert.deepEqual(buildSearchFilter(parseSearchQuery("tag:work"), { dataKey, tagNames }), { tag: { $in: ["t1"] } });
+    assert.deepEqual(buildSearchFilter(parseSearchQuery("-is:archived"), { dataKey, tagNames }), { $nor: [{ isArchived: true }] });
+  });
+
+  it("narrows text terms through the search index and label names", () => {
+    const filter = buildSearchFilter(parseSearchQuery("work"), { dataKey, tagNames });
+    assert.equal(filter.$or[0].searchTokens.$all.length, 1);
+    assert.deepEqual(filter.$or[1], { tag: { $in: ["t1", "t2"] } });
+  });
+
+  it("pushes nothing down for negated text or an or with text the index can't narrow", () => {
+    assert.equal(buildSearchFilter(parseSearchQuery("-draft"), { dataKey, tagNames }), null);
+    assert.equal(buildSearchFilter(parseSearchQuery("!! OR is:pinned"), { dataKey, tagNames }), null);
+    assert.deepEqual(buildSearchFilter(parseSearchQuery("-draft is:pinned"), { dataKey, tagNames }), { isPinned: true });
+  });
+});
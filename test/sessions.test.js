@@ -0,0 +1,125 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { Session } from "../models/Session.js";
+import { subscribeUserEvents } from "../utils/events.js";
+import { describeDevice, createSession, rotateSession, revokeSessions, isSessionActive } from "../utils/sessions.js";
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const request = { get: () => "Mozilla/5.0 (X11; Linux x86_64; rv:126.0) Gecko/20100101 Firefox/126.0", ip: "127.0.0.1" };
+
+beforeEach(() => {
+  process.env.JWT_SECRET = "test secret";
+});
+
+// Check a stored session against the parts of a condition the sessions use
+const matches = (session, condition) => Object.entries(condition).every(([key, value]) => {
+  if (key === "previousTokenHashes") return session.previousTokenHashes.includes(value);
+  if (value?.$gt) return session[key] > value.$gt;
+  if (value?.$in) return value.$in.some(id => id.toString() === session[key].toString());
+  if (value?.$ne) return session[key].toString() !== value.$ne.toString();
+  return String(session[key]) === String(value);
+});
+
+// Keep sessions in memory behind the Session queries of utils/sessions.js
+const stubSessions = (t) => {
+  const sessions = [];
+  const copy = (session) => ({ ...session, previousTokenHashes: [...session.previousTokenHashes] });
+  const find = (condition) => sessions.find(session => matches(session, condition)) ?? null;
+  const chain = (result) => ({
+    select: () => chain(result),
+    lean: async () => (Array.isArray(result) ? result.map(copy) : result && copy(result))
+  });
+  t.mock.method(Session, "create", async (fields) => {
+    const session = { _id: new mongoose.Types.ObjectId(), previousTokenHashes: [], revokedAt: null, ...fields };
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Session, "findOneAndUpdate", (condition, update) => {
+    const session = find(condition);
+    if (session) {
+      Object.assign(session, update.$set);
+      session.previousTokenHashes.push(...update.$push.previousTokenHashes.$each);
+    }
+    return chain(session);
+  });
+  t.mock.method(Session, "findOne", (condition) => chain(find(condition)));
+  t.mock.method(Session, "find", (condition) => chain(sessions.filter(session => matches(session, condition))));
+  t.mock.method(Session, "updateMany", async (condition, update) => {
+    sessions.filter(session => matches(session, condition)).forEach(session => Object.assign(session, update.$set));
+  });
+  t.mock.method(Session, "exists", async (condition) => (find(condition) ? { _id: find(condition)._id } : null));
+  return sessions;
+};
+
+describe("describeDevice", () => {
+  it("names the browser and operating system", () => {
+    assert.equal(describeDevice(request.get()), "Firefox on Linux");
+    assert.equal(describeDevice("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0 Safari/537.36 Edg/125.0"), "Edge on Windows");
+    assert.equal(describeDevice("Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1"), "Safari on iOS");
+    assert.equal(describeDevice("curl/8.5.0"), "Unknown device");
+    assert.equal(describeDevice(""), "Unknown device");
+  });
+});
+
+describe("sessions", () => {
+  it("issue a short-lived access token naming the session and store only a hash of the refresh token", async (t) => {
+    const sessions = stubSessions(t);
+    const tokens = await createSession(USER_ID, request);
+    const [session] = sessions;
+    const payload = jwt.verify(tokens.authtoken, process.env.JWT_SECRET);
+    assert.deepEqual(payload.user, { id: USER_ID, sessionId: session._id.toString() });
+    assert.equal(payload.exp - payload.iat, 15 * 60);
+    assert.equal(session.device, "Firefox on Linux");
+    assert.ok(tokens.refreshToken.startsWith(`${session._id}.`));
+    assert.ok(!JSON.stringify(session).includes(tokens.refreshToken.split(".")[1]));
+  });
+
+  it("rotate the refresh token on every use", async (t) => {
+    stubSessions(t);
+    const first = await createSession(USER_ID, request);
+    const second = await rotateSession(first.refreshToken, request);
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    const third = await rotateSession(second.refreshToken, request);
+    assert.ok(third);
+  });
+
+  it("revoke the whole session when a rotated refresh token is used again", async (t) => {
+    const sessions = stubSessions(t);
+    const events = [];
+    const unsubscribe = await subscribeUserEvents(USER_ID, event => events.push(event));
+    t.after(unsubscribe);
+    const first = await createSession(USER_ID, request);
+    const second = await rotateSession(first.refreshToken, request);
+    assert.equal(await rotateSession(first.refreshToken, request), null);
+    assert.ok(sessions[0].revokedAt);
+    // The stolen copy and the legitimate one are both useless now
+    assert.equal(await rotateSession(second.refreshToken, request), null);
+    assert.equal(await isSessionActive(sessions[0]._id.toString()), false);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(events, [{ type: "session.revoked", sessionId: sessions[0]._id.toString() }]);
+  });
+
+  it("refuse malformed, unknown and expired refresh tokens", async (t) => {
+    const sessions = stubSessions(t);
+    const tokens = await createSession(USER_ID, request);
+    for (const token of [undefined, "", "no-dot", `not-an-id.${tokens.refreshToken.split(".")[1]}`, `${sessions[0]._id}.wrong`]) {
+      assert.equal(await rotateSession(token, request), null, String(token));
+    }
+    assert.equal(sessions[0].revokedAt, null);
+    sessions[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await rotateSession(tokens.refreshToken, request), null);
+  });
+
+  it("revoke the other sessions of a user but keep the current one", async (t) => {
+    const sessions = stubSessions(t);
+    await createSession(USER_ID, request);
+    await createSession(USER_ID, request);
+    const current = sessions[1]._id;
+    assert.equal(await revokeSessions(USER_ID, { _id: { $ne: current } }), 1);
+    assert.equal(await isSessionActive(sessions[0]._id.toString()), false);
+    assert.equal(await isSessionActive(current.toString()), true);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import bcrypt from "bcryptjs";
+import { ShareLink } from "../models/ShareLink.js";
+import { Note } from "../models/Note.js";
+import { User } from "../models/User.js";
+import { generateShareToken, hashShareToken, recordFailedPassword, clearFailedPasswords, findActiveShareLink } from "../utils/shareLinks.js";
+
+const MINUTE = 60 * 1000;
+
+// The keyring is read when the module loads, so the server key is set before importing it
+let encryption, publicLinks;
+before(async () => {
+  Object.assign(process.env, { NOTE_SECRET_KEY: "abcdefghijklmnopqrstuvwxyz012345", NOTE_KEYS: "", NOTE_CURRENT_KEY_ID: "" });
+  encryption = await import("../utils/encryption.js");
+  ({ default: publicLinks } = await import("../routes/publicLinks.js"));
+});
+
+// Keep one share link in memory behind the ShareLink queries the links use
+const stubShareLink = (t, link) => {
+  t.mock.method(ShareLink, "findOne", ({ tokenHash }) => ({
+    select: () => ({ lean: async () => (tokenHash === link.tokenHash ? { ...link } : null) })
+  }));
+  t.mock.method(ShareLink, "findOneAndUpdate", (filter, update) => {
+    link.failedAttempts += update.$inc.failedAttempts;
+    return { lean: async () => ({ ...link }) };
+  });
+  t.mock.method(ShareLink, "updateOne", async (filter, update) => {
+    Object.assign(link, update.$set);
+  });
+  return link;
+};
+
+describe("share link tokens", () => {
+  it("are random and only their hash is stored", () => {
+    const first = generateShareToken();
+    const second = generateShareToken();
+    assert.notEqual(first.token, second.token);
+    assert.equal(first.tokenHash, hashShareToken(first.token));
+    assert.ok(first.token.length >= 43);
+    assert.ok(!first.tokenHash.includes(first.token));
+  });
+});
+
+describe("findActiveShareLink", () => {
+  it("ignores expired links and notes in the bin", async (t) => {
+    const { token, tokenHash } = generateShareToken();
+    const link = stubShareLink(t, { _id: "l1", user: "u1", note: "n1", tokenHash, failedAttempts: 0, expiresAt: null });
+    const findNote = t.mock.method(Note, "findOne", () => ({ select: () => ({ lean: async () => ({ _id: "n1" }) }) }));
+    assert.equal((await findActiveShareLink(token)).note._id, "n1");
+    assert.deepEqual(findNote.mock.calls[0].arguments[0], { _id: "n1", user: "u1", isDeleted: false });
+    assert.equal(await findActiveShareLink("wrong token"), null);
+    link.expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await findActiveShareLink(token), null);
+  });
+});
+
+describe("share link lockout", () => {
+  it("locks a link after five wrong passwords, doubling up to a day", async (t) => {
+    const link = stubShareLink(t, { _id: "l1", failedAttempts: 0, lockedUntil: null });
+    const now = new Date("2024-01-01T00:00:00Z");
+    const lockouts = [];
+    for (let attempt = 1; attempt <= 17; attempt++) {
+      await recordFailedPassword("l1", now);
+      lockouts.push(link.lockedUntil ? link.lockedUntil - now : 0);
+    }
+    assert.deepEqual(lockouts.slice(0, 4), [0, 0, 0, 0]);
+    assert.deepEqual(lockouts.slice(4, 8), [MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE]);
+    assert.equal(lockouts[16], 24 * 60 * MINUTE);
+    await clearFailedPasswords("l1");
+    assert.equal(link.failedAttempts, 0);
+    assert.equal(link.lockedUntil, null);
+  });
+
+  it("answers 429 while locked and forgets failures after the right password", async (t) => {
+    const dataKey = encryption.generateDataKey();
+    const { token, tokenHash } = generateShareToken();
+    const link = stubShareLink(t, {
+      _id: "l1", user: "u1", note: "n1", tokenHash, expiresAt: null,
+      password: await bcrypt.hash("open sesame", 4), failedAttempts: 0, lockedUntil: null
+    });
+    t.mock.method(Note, "findOne", () => ({
+      select: () => ({ lean: async () => ({ _id: "n1", user: "u1", title: encryption.encrypt("Shared", dataKey), content: encryption.encrypt("Hi", dataKey) }) })
+    }));
+    t.mock.method(User, "findById", () => ({
+      select: () => ({ lean: async () => ({ _id: "u1", dataKey: encryption.wrapDataKey(dataKey) }) })
+    }));
+    const app = express().use("/s", publicLinks);
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const open = (password) => fetch(`http://127.0.0.1:${server.address().port}/s/${token}`, {
+      headers: password ? { "X-Share-Password": password } : {}
+    });
+
+    assert.equal((await open()).status, 401);
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      assert.equal((await open("guess")).status, 401);
+    }
+    // Locked now, even the right password is turned away until the lockout ends
+    const locked = await open("open sesame");
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get("Retry-After")) > 0);
+
+    link.lockedUntil = new Date(Date.now() - 1000);
+    const opened = await open("open sesame");
+    assert.equal(opened.status, 200);
+    assert.deepEqual(await opened.json(), { title: "Shared", content: "Hi" });
+    assert.equal(link.failedAttempts, 0);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { collectDescendantIds, createsCycle, buildTagTree } from "../utils/tagTree.js";
+
+// work > projects > alpha, and personal at the top level
+const tags = [
+  { _id: "work", name: "Work", parent: null },
+  { _id: "projects", name: "Projects", parent: "work" },
+  { _id: "alpha", name: "alpha", parent: "projects" },
+  { _id: "personal", name: "Personal", parent: null }
+];
+
+describe("collectDescendantIds", () => {
+  it("returns the label and every label nested below it", () => {
+    assert.deepEqual(collectDescendantIds(tags, "work").sort(), ["alpha", "projects", "work"]);
+    assert.deepEqual(collectDescendantIds(tags, "personal"), ["personal"]);
+  });
+
+  it("stops on labels that are already nested in a loop", () => {
+    const looped = [{ _id: "a", parent: "b" }, { _id: "b", parent: "a" }];
+    assert.deepEqual(collectDescendantIds(looped, "a").sort(), ["a", "b"]);
+  });
+});
+
+describe("createsCycle", () => {
+  it("rejects moving a label under itself or one of its descendants", () => {
+    assert.equal(createsCycle(tags, "work", "work"), true);
+    assert.equal(createsCycle(tags, "work", "alpha"), true);
+  });
+
+  it("allows moving a label elsewhere or to the top level", () => {
+    assert.equal(createsCycle(tags, "alpha", "personal"), false);
+    assert.equal(createsCycle(tags, "projects", null), false);
+  });
+});
+
+describe("buildTagTree", () => {
+  it("nests labels and sorts each level alphabetically", () => {
+    const tree = buildTagTree(tags);
+    assert.deepEqual(tree.map(node => node.name), ["Personal", "Work"]);
+    assert.equal(tree[1].children[0].name, "Projects");
+    assert.equal(tree[1].children[0].children[0].name, "alpha");
+  });
+
+  it("shows labels whose parent is gone at the top level", () => {
+    const tree = buildTagTree([{ _id: "orphan", name: "Orphan", parent: "deleted" }]);
+    assert.equal(tree.length, 1);
+    assert.equal(tree[0].parent, null);
+  });
+});
@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import { AccountToken } from "../models/AccountToken.js";
+import { getMailer } from "./mailer.js";
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_RESET_TTL_MINUTES = 60;
+const DEFAULT_VERIFICATION_TTL_MINUTES = 24 * 60;
+// A new email of the same kind is only sent once this long has passed
+const RESEND_COOLDOWN_MS = MINUTE_MS;
+const TOKEN_BYTES = 32;
+
+const readMinutesSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Minutes each kind of token stays valid, from PASSWORD_RESET_TTL_MINUTES and
+// EMAIL_VERIFICATION_TTL_MINUTES
+const getTokenTtlMinutes = (purpose) => (purpose === "password-reset"
+  ? readMinutesSetting("PASSWORD_RESET_TTL_MINUTES", DEFAULT_RESET_TTL_MINUTES)
+  : readMinutesSetting("EMAIL_VERIFICATION_TTL_MINUTES", DEFAULT_VERIFICATION_TTL_MINUTES));
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Whether a token of this kind was sent to the user too recently to send another
+export const isInCooldown = async (userId, purpose) => {
+  return Boolean(await AccountToken.exists({ user: userId, purpose, createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) } }));
+};
+
+// Create a token for the user, replacing any earlier one of the same kind so only the newest works
+const issueAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  await AccountToken.deleteMany({ user: userId, purpose });
+  await AccountToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + getTokenTtlMinutes(purpose) * MINUTE_MS)
+  });
+  return token;
+};
+
+// Use up a token, resolving to its user id, or null if it is unknown, expired or already used
+export const consumeAccountToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+  const accountToken = await AccountToken.findOneAndDelete({ tokenHash: hashToken(token), purpose }).lean();
+  // The TTL index removes expired tokens only periodically
+  if (!accountToken || accountToken.expiresAt <= new Date()) return null;
+  return accountToken.user.toString();
+};
+
+// Link into the client app carrying a token, or the bare token without APP_URL
+const buildLink = (pathname, token) => {
+  const appUrl = process.env.APP_URL;
+  return appUrl ? `${appUrl.replace(/\/$/, "")}${pathname}?token=${encodeURIComponent(token)}` : token;
+};
+
+// Email the user a link to verify their email address
+export const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user._id, "email-verification");
+  await getMailer().send({
+    to: user.email,
+    subject: "Verify your SnipKeep email",
+    text: `Hi ${user.name},\n\nConfirm this is your email address by opening this link:\n\n${buildLink("/verify-email", token)}\n\nThe link expires in ${getTokenTtlMinutes("email-verification")} minutes.`
+  });
+};
+
+// Email the user a link to choose a new password
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user._id, "password-reset");
+  await getMailer().send({
+    to: user.email,
+    subject: "Reset your SnipKeep password",
+    text: `Hi ${user.name},\n\nChoose a new password by opening this link:\n\n${buildLink("/reset-password", token)}\n\nThe link expires in ${getTokenTtlMinutes("password-reset")} minutes and works once. If you didn't ask to reset your password, you can ignore this email.`
+  });
+};
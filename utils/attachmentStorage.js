@@ -0,0 +1,54 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Storage backends keep encrypted attachment blobs under opaque keys such as
+// "<userId>/<attachmentId>" and provide:
+//   put(key, buffer)  store a blob, replacing any blob with the same key
+//   get(key)          resolve to the blob, throw if there is none
+//   delete(key)       remove a blob, a missing one is not an error
+// An S3-compatible backend maps these onto PutObject, GetObject and DeleteObject.
+
+// Default backend: one file per blob under a local directory
+export const createLocalStorage = (directory) => {
+  const root = path.resolve(directory);
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    // Keys are built from ids, but never let one point outside the directory
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return resolved;
+  };
+  return {
+    put: async (key, buffer) => {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    get: async (key) => fs.readFile(filePath(key)),
+    delete: async (key) => {
+      await fs.rm(filePath(key), { force: true });
+    }
+  };
+};
+
+// Pick the backend from ATTACHMENT_STORAGE, only "local" (default) is built in
+const createStorageFromEnv = () => {
+  const kind = process.env.ATTACHMENT_STORAGE || "local";
+  if (kind !== "local") {
+    throw new Error(`Unknown attachment storage "${kind}"`);
+  }
+  return createLocalStorage(process.env.ATTACHMENT_DIR || "uploads");
+};
+
+let storage = null;
+
+// Replace the attachment storage backend, call before the server starts listening
+export const setAttachmentStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+export const getAttachmentStorage = () => {
+  if (!storage) storage = createStorageFromEnv();
+  return storage;
+};
@@ -0,0 +1,114 @@
+import { Attachment } from "../models/Attachment.js";
+import { User } from "../models/User.js";
+import { Workspace } from "../models/Workspace.js";
+import { getAttachmentStorage } from "./attachmentStorage.js";
+
+const MB = 1024 * 1024;
+const DEFAULT_MAX_BYTES = 10 * MB;
+const DEFAULT_QUOTA_BYTES = 100 * MB;
+const MAX_FILENAME_LENGTH = 100;
+
+// MIME types that may be attached. SVG and HTML are left out, a browser
+// opening them would run their scripts.
+export const ALLOWED_MIME_TYPES = [
+  "image/png", "image/jpeg", "image/gif", "image/webp",
+  "application/pdf", "application/zip", "application/json",
+  "text/plain", "text/markdown", "text/csv"
+];
+
+// Leading bytes binary files of each type must start with, so a file can't
+// claim to be an image while holding something else
+const SIGNATURES = {
+  "image/png": [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/gif": [[0x47, 0x49, 0x46, 0x38]],
+  "image/webp": [[0x52, 0x49, 0x46, 0x46]],
+  "application/pdf": [[0x25, 0x50, 0x44, 0x46]],
+  "application/zip": [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]]
+};
+
+const readBytesSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Largest single attachment, from ATTACHMENT_MAX_BYTES (defaults to 10 MB)
+export const getAttachmentMaxBytes = () => readBytesSetting("ATTACHMENT_MAX_BYTES", DEFAULT_MAX_BYTES);
+
+// Total attachment size allowed per user or workspace, from ATTACHMENT_QUOTA_BYTES (defaults to 100 MB)
+export const getAttachmentQuotaBytes = () => readBytesSetting("ATTACHMENT_QUOTA_BYTES", DEFAULT_QUOTA_BYTES);
+
+const badRequest = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check the name, type and size of an upload, returning the trimmed file name
+export const checkAttachment = ({ filename, mimeType, data }) => {
+  const name = typeof filename === "string" ? filename.trim() : "";
+  if (!name || name.length > MAX_FILENAME_LENGTH || /[/\\\x00-\x1f]/.test(name)) {
+    throw badRequest(`File name must be a non empty string of at most ${MAX_FILENAME_LENGTH} characters without slashes`);
+  }
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw badRequest(`Unsupported file type. Must be one of: ${ALLOWED_MIME_TYPES.join(", ")}`, 415);
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw badRequest("File is empty");
+  }
+  if (data.length > getAttachmentMaxBytes()) {
+    throw badRequest(`File cannot exceed ${getAttachmentMaxBytes()} bytes`, 413);
+  }
+  const signatures = SIGNATURES[mimeType];
+  if (signatures && !signatures.some(signature => signature.every((byte, i) => data[i] === byte))) {
+    throw badRequest(`File content does not match type ${mimeType}`);
+  }
+  return name;
+};
+
+// Attachment sizes are counted on the owner of the notes, a user or a workspace
+const getQuotaOwnerModel = async (ownerId) => ((await Workspace.exists({ _id: ownerId })) ? Workspace : User);
+
+// Count bytes against the owner's quota, failing if they don't fit. Reserving
+// with one conditional update keeps parallel uploads from overshooting it.
+export const reserveQuota = async (userId, bytes) => {
+  const limit = getAttachmentQuotaBytes() - bytes;
+  if (limit < 0) {
+    throw badRequest("Attachment quota exceeded", 413);
+  }
+  const Owner = await getQuotaOwnerModel(userId);
+  const result = await Owner.updateOne(
+    { _id: userId, $or: [{ attachmentBytes: { $lte: limit } }, { attachmentBytes: { $exists: false } }] },
+    { $inc: { attachmentBytes: bytes } },
+    { timestamps: false }
+  );
+  if (result.modifiedCount === 0) {
+    throw badRequest("Attachment quota exceeded", 413);
+  }
+};
+
+// Give bytes back to the owner's quota
+export const releaseQuota = async (userId, bytes) => {
+  if (bytes > 0) {
+    const Owner = await getQuotaOwnerModel(userId);
+    await Owner.updateOne({ _id: userId }, { $inc: { attachmentBytes: -bytes } }, { timestamps: false });
+  }
+};
+
+// Remove attachments with their blobs and free their space in the owner's quota
+export const deleteAttachments = async (userId, attachments) => {
+  const storage = getAttachmentStorage();
+  for (const attachment of attachments) {
+    // Only the request that removes the record frees its space
+    const deleted = await Attachment.findOneAndDelete({ _id: attachment._id }).lean();
+    if (!deleted) continue;
+    await storage.delete(deleted.storageKey);
+    await releaseQuota(userId, deleted.size);
+  }
+};
+
+// Remove every attachment of the given notes
+export const deleteNoteAttachments = async (userId, noteIds) => {
+  const attachments = await Attachment.find({ note: { $in: noteIds } }).select("_id").lean();
+  await deleteAttachments(userId, attachments);
+};
@@ -0,0 +1,73 @@
+import { Note } from "../models/Note.js";
+import { purgeNotes } from "./noteOperations.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Days a note stays in the bin before it is removed for good, from BIN_RETENTION_DAYS
+export const getBinRetentionDays = () => {
+  const days = Number(process.env.BIN_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// Notes binned before deletedAt was recorded count from their last update,
+// which toggle-delete set when it moved them
+const binnedSince = (note) => new Date(note.deletedAt ?? note.updatedAt);
+
+// Whole days left before a binned note is purged, 0 once it is due
+export const getBinDaysLeft = (note, now = Date.now()) => {
+  const purgeAt = binnedSince(note).getTime() + getBinRetentionDays() * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now) / DAY_MS));
+};
+
+// Permanently delete every binned note older than the retention period,
+// returning how many were removed
+export const purgeExpiredNotes = async () => {
+  const cutoff = new Date(Date.now() - getBinRetentionDays() * DAY_MS);
+  let purged = 0;
+  while (true) {
+    const notes = await Note.find({
+      isDeleted: true,
+      $or: [{ deletedAt: { $lte: cutoff } }, { deletedAt: null, updatedAt: { $lte: cutoff } }]
+    }).select("user").limit(BATCH_SIZE).lean();
+    if (notes.length === 0) break;
+    // Purge per owner, so every user gets their tombstones and events
+    const idsByUser = new Map();
+    for (const note of notes) {
+      const userId = note.user.toString();
+      if (!idsByUser.has(userId)) idsByUser.set(userId, []);
+      idsByUser.get(userId).push(note._id);
+    }
+    for (const [userId, noteIds] of idsByUser) {
+      await purgeNotes(userId, noteIds);
+    }
+    purged += notes.length;
+  }
+  return purged;
+};
+
+let purgeTimer = null;
+let purgeRunning = false;
+
+// Run the purge now and then every hour in this process. A run still in
+// progress when the next one is due is left to finish instead.
+export const startBinPurgeSchedule = () => {
+  if (purgeTimer) return;
+  const run = async () => {
+    if (purgeRunning) return;
+    purgeRunning = true;
+    try {
+      const purged = await purgeExpiredNotes();
+      if (purged > 0) console.log(`Bin purge removed ${purged} notes`);
+    } catch (error) {
+      console.error("Bin purge failed:", error);
+    } finally {
+      purgeRunning = false;
+    }
+  };
+  run();
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+};
@@ -0,0 +1,57 @@
+import { User } from "../models/User.js";
+import { Workspace } from "../models/Workspace.js";
+import { Note } from "../models/Note.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import { Tag } from "../models/Tag.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { generateDataKey, wrapDataKey, unwrapDataKey } from "./encryption.js";
+
+// Create a wrapped data key for a new user or workspace
+export const createWrappedDataKey = () => wrapDataKey(generateDataKey());
+
+// Whether anything of an owner is still encrypted under a data key. Without
+// their key such values can never be read again.
+export const hasDataKeyCiphertext = async (ownerId) => {
+  const v3 = { $regex: /^v3:/ };
+  const found = await Promise.all([
+    Note.exists({ user: ownerId, title: v3 }),
+    NoteRevision.exists({ user: ownerId, title: v3 }),
+    Tag.exists({ user: ownerId, name: v3 }),
+    SavedSearch.exists({ user: ownerId, name: v3 })
+  ]);
+  return found.some(Boolean);
+};
+
+// Error for an account whose data key was shredded before its data was purged
+const shreddedKeyError = () => {
+  const error = new Error("The encryption key of this account was deleted, its encrypted data can't be read");
+  error.status = 410;
+  return error;
+};
+
+// Return the unwrapped data key of a user, or of a workspace, which own notes and
+// labels the same way. Creates one for accounts that predate per-user keys, but
+// never for one whose key was shredded while data encrypted under it remains.
+export const getDataKey = async (userId) => {
+  let user = await User.findById(userId).select("+dataKey").lean();
+  if (!user) {
+    const workspace = await Workspace.findById(userId).select("+dataKey").lean();
+    if (!workspace) {
+      throw new Error("User not found");
+    }
+    return unwrapDataKey(workspace.dataKey);
+  }
+  if (!user.dataKey) {
+    if (await hasDataKeyCiphertext(userId)) {
+      throw shreddedKeyError();
+    }
+    // Only set the key if a concurrent request has not created one first
+    await User.updateOne(
+      { _id: userId, dataKey: null },
+      { $set: { dataKey: createWrappedDataKey() } },
+      { timestamps: false }
+    );
+    user = await User.findById(userId).select("+dataKey").lean();
+  }
+  return unwrapDataKey(user.dataKey);
+};
@@ -0,0 +1,54 @@
+// Largest LCS table computed, bigger changes are shown as a full replacement
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Line diff of two texts using the longest common subsequence of their lines.
+// Returns a list of { type: "equal" | "added" | "removed", line } entries.
+export const diffLines = (oldText, newText) => {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+  // Skip the unchanged lines at both ends before building the table
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldLines.length - start && end < newLines.length - start
+    && oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) {
+    end++;
+  }
+  const a = oldLines.slice(start, oldLines.length - end);
+  const b = newLines.slice(start, newLines.length - end);
+  const changes = oldLines.slice(0, start).map(line => ({ type: "equal", line }));
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  if (rows * cols > MAX_DIFF_CELLS) {
+    changes.push(...a.map(line => ({ type: "removed", line })), ...b.map(line => ({ type: "added", line })));
+  } else {
+    // lengths[i * cols + j] is the LCS length of a[i..] and b[j..]
+    const lengths = new Uint32Array(rows * cols);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = a[i] === b[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        changes.push({ type: "equal", line: a[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        changes.push({ type: "removed", line: a[i++] });
+      } else {
+        changes.push({ type: "added", line: b[j++] });
+      }
+    }
+    while (i < a.length) changes.push({ type: "removed", line: a[i++] });
+    while (j < b.length) changes.push({ type: "added", line: b[j++] });
+  }
+  changes.push(...oldLines.slice(oldLines.length - end).map(line => ({ type: "equal", line })));
+  return changes;
+};
@@ -2,20 +2,165 @@ import crypto from 'crypto';
 import dotenv from "dotenv";
 
 dotenv.config()
-const algorithm = 'aes-256-cbc';
-const secretKey = process.env.NOTE_SECRET_KEY;
-const iv = process.env.NOTE_IV;
+const algorithm = 'aes-256-gcm';
+const CIPHERTEXT_VERSION = 'v2';
+const DATA_KEY_CIPHERTEXT_VERSION = 'v3';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const DATA_KEY_LENGTH = 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
 
-export const encrypt = (text) => {
-  const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
+// Key id given to NOTE_SECRET_KEY, which also decrypts v1 and legacy values
+const DEFAULT_KEY_ID = 'default';
+
+// Legacy format: aes-256-cbc with one static IV, stored as plain hex
+const legacyAlgorithm = 'aes-256-cbc';
+const legacyIv = process.env.NOTE_IV;
+
+// Build the keyring from NOTE_SECRET_KEY and NOTE_KEYS ("<id>:<64 hex chars>,...", oldest first)
+const loadKeyring = () => {
+  const keys = new Map();
+  if (process.env.NOTE_SECRET_KEY) {
+    keys.set(DEFAULT_KEY_ID, Buffer.from(process.env.NOTE_SECRET_KEY));
+  }
+  const entries = (process.env.NOTE_KEYS || "").split(",").map(e => e.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const separator = entry.indexOf(":");
+    const id = entry.slice(0, separator);
+    const hexKey = entry.slice(separator + 1);
+    if (separator < 1 || !KEY_ID_PATTERN.test(id) || !/^[0-9a-fA-F]{64}$/.test(hexKey)) {
+      throw new Error(`Invalid NOTE_KEYS entry "${id || entry}": expected <id>:<64 hex characters>`);
+    }
+    keys.set(id, Buffer.from(hexKey, 'hex'));
+  }
+  // Only the newest key is used for writes unless one is picked explicitly
+  const currentKeyId = process.env.NOTE_CURRENT_KEY_ID
+    || (entries.length ? entries[entries.length - 1].split(":")[0] : DEFAULT_KEY_ID);
+  if (keys.size > 0 && !keys.has(currentKeyId)) {
+    throw new Error(`Current encryption key "${currentKeyId}" is not in the keyring`);
+  }
+  return { keys, currentKeyId };
+};
+
+const keyring = loadKeyring();
+
+const getKey = (keyId) => {
+  const key = keyring.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not in the keyring`);
+  }
+  return key;
+};
+
+// Id of the key used for all new writes
+export const getCurrentKeyId = () => keyring.currentKeyId;
+
+// Split a stored value into its format version, key id and payload parts
+const parseCiphertext = (value) => {
+  if (value.startsWith(`${DATA_KEY_CIPHERTEXT_VERSION}:`)) {
+    const [version, iv, authTag, encrypted] = value.split(':');
+    return { version, keyId: null, iv, authTag, encrypted };
+  }
+  if (value.startsWith(`${CIPHERTEXT_VERSION}:`)) {
+    const [version, keyId, iv, authTag, encrypted] = value.split(':');
+    return { version, keyId, iv, authTag, encrypted };
+  }
+  if (value.startsWith('v1:')) {
+    const [version, iv, authTag, encrypted] = value.split(':');
+    return { version, keyId: DEFAULT_KEY_ID, iv, authTag, encrypted };
+  }
+  return { version: 'legacy', keyId: DEFAULT_KEY_ID, encrypted: value };
+};
+
+// Check if a value is encrypted under a user's data key
+export const isDataKeyCiphertext = (value) => {
+  return typeof value === "string" && value.startsWith(`${DATA_KEY_CIPHERTEXT_VERSION}:`);
+};
+
+// Check if a value encrypted under a server key should be rewritten under the current key
+export const needsReencryption = (value) => {
+  if (typeof value !== "string" || isDataKeyCiphertext(value)) return false;
+  const { version, keyId } = parseCiphertext(value);
+  return version !== CIPHERTEXT_VERSION || keyId !== keyring.currentKeyId;
+};
+
+const gcmEncrypt = (text, key) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
   let encrypted = cipher.update(text, 'utf-8', 'hex');
   encrypted += cipher.final('hex');
-  return encrypted;
+  const authTag = cipher.getAuthTag().toString('hex');
+  return [iv.toString('hex'), authTag, encrypted];
 };
 
-export const decrypt = (encryptedText) => {
-  const decipher = crypto.createDecipheriv(algorithm, secretKey, iv);
+const gcmDecrypt = ({ iv, authTag, encrypted }, key) => {
+  const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  let decrypted = decipher.update(encrypted, 'hex', 'utf-8');
+  decrypted += decipher.final('utf-8'); // Throws if the auth tag does not match
+  return decrypted;
+};
+
+// Encrypt text with a fresh IV for every value. With a data key the result is
+// "v3:<iv>:<authTag>:<ciphertext>", otherwise the current server key is used
+// and the result is "v2:<keyId>:<iv>:<authTag>:<ciphertext>".
+export const encrypt = (text, dataKey) => {
+  if (dataKey) {
+    return [DATA_KEY_CIPHERTEXT_VERSION, ...gcmEncrypt(text, dataKey)].join(':');
+  }
+  const keyId = keyring.currentKeyId;
+  return [CIPHERTEXT_VERSION, keyId, ...gcmEncrypt(text, getKey(keyId))].join(':');
+};
+
+const legacyDecrypt = (encryptedText) => {
+  if (!legacyIv) {
+    throw new Error("NOTE_IV is required to read data in the legacy encryption format");
+  }
+  const decipher = crypto.createDecipheriv(legacyAlgorithm, getKey(DEFAULT_KEY_ID), legacyIv);
   let decrypted = decipher.update(encryptedText, 'hex', 'utf-8');
   decrypted += decipher.final('utf-8');
   return decrypted;
-};
\ No newline at end of file
+};
+
+// Decrypt a value written in any supported format. Values written under a data
+// key need that key; older values are read with whichever server key they name.
+export const decrypt = (encryptedText, dataKey) => {
+  const parsed = parseCiphertext(encryptedText);
+  if (parsed.version === DATA_KEY_CIPHERTEXT_VERSION) {
+    if (!dataKey) {
+      throw new Error("A data key is required to decrypt this value");
+    }
+    return gcmDecrypt(parsed, dataKey);
+  }
+  if (parsed.version === 'legacy') {
+    return legacyDecrypt(parsed.encrypted);
+  }
+  return gcmDecrypt(parsed, getKey(parsed.keyId));
+};
+
+// Encrypt binary data such as an attachment with a data key. The result is
+// <iv><authTag><ciphertext> as raw bytes.
+export const encryptBuffer = (buffer, dataKey) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(algorithm, dataKey, iv);
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+};
+
+// Decrypt binary data written by encryptBuffer, throws if it was tampered with
+export const decryptBuffer = (blob, dataKey) => {
+  const iv = blob.subarray(0, IV_LENGTH);
+  const authTag = blob.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(algorithm, dataKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(blob.subarray(IV_LENGTH + AUTH_TAG_LENGTH)), decipher.final()]);
+};
+
+// Create a random data key for a new user
+export const generateDataKey = () => crypto.randomBytes(DATA_KEY_LENGTH);
+
+// Wrap a data key under the current server key for storage
+export const wrapDataKey = (dataKey) => encrypt(dataKey.toString('hex'));
+
+// Unwrap a stored data key
+export const unwrapDataKey = (wrappedKey) => Buffer.from(decrypt(wrappedKey), 'hex');
@@ -0,0 +1,61 @@
+import { EventEmitter } from "events";
+
+// In-process pub/sub, enough for a single server. Deployments with several
+// processes plug in an adapter over a shared broker (Redis, NATS, ...) with the
+// same publish/subscribe methods, subscribe returning an unsubscribe function.
+export const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return {
+    publish: async (channel, message) => {
+      emitter.emit(channel, message);
+    },
+    subscribe: async (channel, handler) => {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+let adapter = createMemoryAdapter();
+
+// Replace the pub/sub adapter, call before the server starts listening
+export const setEventAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+const userChannel = (userId) => `user:${userId}`;
+
+// Publish an event to every open session of a user. Publishing never fails the request.
+export const publishUserEvent = (userId, event) => {
+  Promise.resolve()
+    .then(() => adapter.publish(userChannel(userId), JSON.stringify(event)))
+    .catch(error => console.error("Failed to publish event:", error));
+};
+
+// Listen to a user's events, resolves to a function that stops listening
+export const subscribeUserEvents = (userId, handler) => {
+  return adapter.subscribe(userChannel(userId), message => handler(JSON.parse(message)));
+};
+
+// Notes are published still encrypted, so the broker never sees plaintext and
+// each session decrypts them with the data key of the note's owner. Collaborators
+// of a shared note get its events on their own channel too.
+export const publishNoteEvent = (userId, type, { searchTokens, titleToken, titleSortKey, ...note }) => {
+  const event = { type, noteId: note._id, note };
+  publishUserEvent(userId, event);
+  (note.collaborators || []).forEach(c => publishUserEvent(c.user.toString(), event));
+};
+
+export const publishNoteDeleted = (userId, noteId, collaborators = []) => {
+  [userId, ...collaborators.map(c => c.user.toString())].forEach(id => publishUserEvent(id, { type: "note.deleted", noteId }));
+};
+
+// Tell a collaborator removed from a note that it is no longer shared with them
+export const publishNoteUnshared = (userId, noteId) => {
+  publishUserEvent(userId, { type: "note.unshared", noteId });
+};
+
+export const publishTagEvent = (userId, type, tag) => {
+  publishUserEvent(userId, { type, tagId: tag._id, tag: type === "tag.deleted" ? undefined : tag });
+};
@@ -0,0 +1,40 @@
+// Language ids picked for file extensions, and for some well known file names
+const EXTENSION_LANGUAGES = {
+  js: "javascript", mjs: "javascript", cjs: "javascript", jsx: "javascript",
+  ts: "typescript", mts: "typescript", cts: "typescript", tsx: "typescript",
+  py: "python", rb: "ruby", go: "go", rs: "rust", java: "java",
+  kt: "kotlin", kts: "kotlin", scala: "scala", swift: "swift", dart: "dart",
+  c: "c", h: "c", cpp: "cpp", cc: "cpp", cxx: "cpp", hpp: "cpp", cs: "csharp",
+  php: "php", pl: "perl", lua: "lua", r: "r", ex: "elixir", exs: "elixir", hs: "haskell",
+  sh: "shell", bash: "shell", zsh: "shell", ps1: "powershell",
+  sql: "sql", html: "html", htm: "html", css: "css", scss: "scss", sass: "sass", less: "less",
+  vue: "vue", svelte: "svelte", json: "json", yaml: "yaml", yml: "yaml", toml: "toml",
+  xml: "xml", md: "markdown", markdown: "markdown", graphql: "graphql", gql: "graphql",
+  txt: "plaintext"
+};
+const FILENAME_LANGUAGES = {
+  dockerfile: "dockerfile",
+  makefile: "makefile",
+  gemfile: "ruby",
+  rakefile: "ruby"
+};
+
+// Language ids are lowercase names such as "python", "cpp" or "objective-c"
+export const LANGUAGE_PATTERN = /^[a-z0-9][a-z0-9+#.-]{0,29}$/;
+
+// Detect the language of a file from its name, null when the extension is unknown
+export const detectLanguage = (filename) => {
+  const name = filename.toLowerCase();
+  if (FILENAME_LANGUAGES[name]) return FILENAME_LANGUAGES[name];
+  const dot = name.lastIndexOf(".");
+  if (dot === -1) return null;
+  return EXTENSION_LANGUAGES[name.slice(dot + 1)] ?? null;
+};
+
+// Normalize a language id supplied by the user, null or empty clears it
+export const normalizeLanguage = (language) => (language ? language.trim().toLowerCase() : null);
+
+// Notes whose own language or one of whose files is in the given language
+export const buildLanguageFilter = (language) => ({
+  $or: [{ language }, { "files.language": language }]
+});
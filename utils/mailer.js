@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Mailers send account and reminder emails and provide:
+//   send({ to, subject, text, messageId })  resolve once the message is handed over, throw if
+//                                           it can't be. The message id is optional.
+// Every transport builds the message with nodemailer, so what the console and
+// file transports show is exactly what SMTP would send.
+
+// Render a message to its raw form without sending it
+const renderMessage = async (message) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  const { message: raw } = await transporter.sendMail(message);
+  return raw.toString();
+};
+
+// Default mailer: print each message to the console, for development
+export const createConsoleMailer = ({ from }) => ({
+  send: async ({ to, subject, text, messageId }) => {
+    console.log(`--- Email to ${to} ---\n${await renderMessage({ from, to, subject, text, messageId })}\n--- End of email ---`);
+  }
+});
+
+// Write each message to a .eml file under a directory, for development and tests
+export const createFileMailer = ({ from, directory }) => {
+  const root = path.resolve(directory);
+  return {
+    send: async ({ to, subject, text, messageId }) => {
+      await fs.mkdir(root, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      await fs.writeFile(path.join(root, name), await renderMessage({ from, to, subject, text, messageId }));
+    }
+  };
+};
+
+// Send through an SMTP server. A local mock server such as MailHog works with
+// secure off and no user.
+export const createSmtpMailer = ({ host, port, secure = false, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+  return {
+    send: async ({ to, subject, text, messageId }) => {
+      await transporter.sendMail({ from, to, subject, text, messageId });
+    }
+  };
+};
+
+// SMTP mailer from the SMTP_* settings, shared by account emails and reminders
+export const createSmtpMailerFromEnv = (from = process.env.SMTP_FROM) => createSmtpMailer({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from
+});
+
+// Pick the mailer from MAIL_TRANSPORT: "console" (default), "file" or "smtp"
+const createMailerFromEnv = () => {
+  const kind = process.env.MAIL_TRANSPORT || "console";
+  const from = process.env.MAIL_FROM || process.env.SMTP_FROM || "SnipKeep <no-reply@snipkeep.local>";
+  if (kind === "file") {
+    return createFileMailer({ from, directory: process.env.MAIL_DIR || "mail" });
+  }
+  if (kind === "smtp") {
+    return createSmtpMailerFromEnv(from);
+  }
+  if (kind !== "console") {
+    throw new Error(`Unknown mail transport "${kind}"`);
+  }
+  return createConsoleMailer({ from });
+};
+
+let mailer = null;
+
+// Replace the mailer, call before the server starts listening
+export const setMailer = (newMailer) => {
+  mailer = newMailer;
+};
+
+export const getMailer = () => {
+  if (!mailer) mailer = createMailerFromEnv();
+  return mailer;
+};
@@ -0,0 +1,73 @@
+import { Note } from "../models/Note.js";
+import { NoteLink } from "../models/NoteLink.js";
+import { encrypt, decrypt } from "./encryption.js";
+import { buildTitleToken } from "./searchIndex.js";
+
+// [[Note title]] or [[note:<id>]], on a single line
+const LINK_PATTERN = /\[\[([^[\]\n]+)\]\]/g;
+const ID_LINK_PATTERN = /^note:([0-9a-f]{24})$/i;
+const MAX_LINKS_PER_NOTE = 200;
+
+// Parse the links in note content, each target once in order of first appearance
+export const parseNoteLinks = (content) => {
+  const links = new Map();
+  for (const [, raw] of content.matchAll(LINK_PATTERN)) {
+    const text = raw.trim();
+    if (!text) continue;
+    const idMatch = text.match(ID_LINK_PATTERN);
+    const key = idMatch ? `id:${idMatch[1].toLowerCase()}` : `title:${text.toLowerCase()}`;
+    if (!links.has(key)) {
+      links.set(key, idMatch ? { targetId: idMatch[1].toLowerCase() } : { title: text });
+    }
+  }
+  return [...links.values()].slice(0, MAX_LINKS_PER_NOTE);
+};
+
+// Replace the stored outgoing links of a note with the links in its content
+export const saveNoteLinks = async (userId, noteId, content, dataKey) => {
+  const links = parseNoteLinks(content || "").filter(link => link.targetId !== noteId.toString());
+  await NoteLink.deleteMany({ source: noteId });
+  if (links.length === 0) return;
+  await NoteLink.insertMany(links.map(link => ({
+    user: userId,
+    source: noteId,
+    target: link.targetId ?? null,
+    title: link.title ? encrypt(link.title, dataKey) : null,
+    titleToken: link.title ? buildTitleToken(link.title, dataKey) : null
+  })));
+};
+
+// Resolve stored links to their target notes. A title link goes to the user's
+// note with that title, preferring one outside the bin. Links whose target is
+// in the bin or gone are kept and reported as broken, with the reason.
+export const resolveNoteLinks = async (userId, links, dataKey) => {
+  const ids = links.filter(link => link.target).map(link => link.target);
+  const tokens = links.filter(link => link.titleToken).map(link => link.titleToken);
+  const targets = await Note.find({ user: userId, $or: [{ _id: { $in: ids } }, { titleToken: { $in: tokens } }] })
+    .select("title isDeleted +titleToken")
+    .sort({ _id: 1 })
+    .lean();
+  const byId = new Map(targets.map(note => [note._id.toString(), note]));
+  const byTitle = new Map();
+  for (const note of targets) {
+    const existing = byTitle.get(note.titleToken);
+    if (note.titleToken && (!existing || (existing.isDeleted && !note.isDeleted))) {
+      byTitle.set(note.titleToken, note);
+    }
+  }
+  const resolvedLinks = links.map(link => {
+    const target = link.target ? byId.get(link.target.toString()) : byTitle.get(link.titleToken);
+    const resolved = {
+      source: link.source,
+      target: target?._id ?? link.target,
+      title: target ? decrypt(target.title, dataKey) : link.title && decrypt(link.title, dataKey),
+      broken: !target || target.isDeleted
+    };
+    if (resolved.broken) {
+      resolved.reason = target ? "binned" : "missing";
+    }
+    return resolved;
+  });
+  // A note whose content names its own title doesn't link anywhere
+  return resolvedLinks.filter(link => link.target?.toString() !== link.source.toString());
+};
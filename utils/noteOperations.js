@@ -0,0 +1,265 @@
+import mongoose from "mongoose";
+import { Note } from "../models/Note.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import { Tombstone } from "../models/Tombstone.js";
+import { ReminderDelivery } from "../models/ReminderDelivery.js";
+import { NoteLink } from "../models/NoteLink.js";
+import { validateObjectId, checkNoteOwnership, checkNoteAccess } from "../middlewares/validation.js";
+import { encryptNote, checkNoteVersion, updateNoteIfCurrent, getNoteDataKey, getErrorStatus, getErrorBody } from "./noteUtils.js";
+import { decrypt } from "./encryption.js";
+import { buildSearchIndex } from "./searchIndex.js";
+import { isContentChanged, saveRevision, saveRevisions } from "./revisions.js";
+import { publishNoteEvent, publishNoteDeleted } from "./events.js";
+import { normalizeLanguage } from "./languages.js";
+import { saveNoteLinks } from "./noteLinks.js";
+import { deleteNoteAttachments } from "./attachments.js";
+import { revokeShareLinks } from "./shareLinks.js";
+import { checkNoteAllowance } from "./verification.js";
+
+// Fields a client may set when editing a note
+const EDITABLE_FIELDS = ['title', 'content', 'items', 'language', 'files', 'tag', 'isPinned', 'isArchived', 'isDeleted', 'colour', 'reminderAt', 'reminderRepeat'];
+// Fields an editor of a shared note may set, the bin, flags, labels and reminders stay the owner's
+const COLLABORATOR_FIELDS = ['title', 'content', 'items', 'language', 'files', 'colour'];
+
+// Flag changes of the bulk actions, following the same rules as the toggle routes
+const BULK_FLAG_UPDATES = {
+  pin: { isPinned: true, isArchived: false },
+  unpin: { isPinned: false },
+  archive: { isArchived: true, isPinned: false },
+  unarchive: { isArchived: false },
+  trash: { isDeleted: true, isPinned: false, isArchived: false },
+  restore: { isDeleted: false }
+};
+export const BULK_ACTIONS = [...Object.keys(BULK_FLAG_UPDATES), "purge", "setColour", "addLabels", "removeLabels"];
+
+// Create a note and return the stored note
+export const createNote = async (userId, dataKey, {
+  title, content, tag,
+  type = "text",
+  items = [],
+  language = null,
+  files = [],
+  isPinned = false,
+  isArchived = false,
+  isDeleted = false,
+  colour = "default",
+  reminderAt = null,
+  reminderRepeat = "none"
+}) => {
+  await checkNoteAllowance(userId);
+  // Encrypt fields
+  const encryptedFields = encryptNote({ title, content, items, files, tag }, dataKey);
+  const note = await Note.create({
+    user: userId,
+    title: encryptedFields.title,
+    content: encryptedFields.content,
+    type,
+    items: encryptedFields.items,
+    language: normalizeLanguage(language),
+    files: encryptedFields.files,
+    tag: encryptedFields.tag,
+    ...buildSearchIndex({ title, content, items, files }, dataKey),
+    isPinned,
+    isArchived,
+    isDeleted,
+    deletedAt: isDeleted ? new Date() : null,
+    colour,
+    reminderAt,
+    reminderRepeat,
+  });
+  await saveNoteLinks(userId, note._id, content, dataKey);
+  publishNoteEvent(userId, "note.created", note.toObject());
+  return note.toObject();
+};
+
+// Apply an edit to a note by its owner or an editor, keeping a revision when its
+// text changes. Returns the stored note, or throws a version conflict if
+// expectedVersion is stale.
+export const updateNote = async (userId, requesterKey, noteId, fields, expectedVersion) => {
+  validateObjectId(noteId);
+  const prevNote = await Note.findById(noteId);
+  checkNoteAccess(prevNote, userId, "editor");
+  const ownerId = prevNote.user.toString();
+  const isOwner = ownerId === userId;
+  if (!isOwner && fields.isDeleted !== undefined && fields.isDeleted !== prevNote.isDeleted) {
+    throw new Error("Only the note owner can do this");
+  }
+  const dataKey = await getNoteDataKey(prevNote, userId, requesterKey);
+  await checkNoteVersion(prevNote, expectedVersion, dataKey);
+  // Prepare allowed fields and updates
+  const editableFields = isOwner ? EDITABLE_FIELDS : COLLABORATOR_FIELDS;
+  const updatedNote = Object.fromEntries(
+    Object.entries(fields)
+      .filter(([key, value]) => editableFields.includes(key) && value !== undefined)
+  );
+  if (updatedNote.items !== undefined && prevNote.type !== "checklist") {
+    throw new Error("Note is not a checklist");
+  }
+  // Compare against the decrypted note, ciphertexts differ even for identical text
+  const prevDecrypted = {
+    ...prevNote.toObject(),
+    title: decrypt(prevNote.title, dataKey),
+    content: decrypt(prevNote.content, dataKey),
+    items: prevNote.items.map(item => ({ text: decrypt(item.text, dataKey), checked: item.checked })),
+    files: prevNote.files.map(file => ({
+      filename: decrypt(file.filename, dataKey),
+      content: decrypt(file.content, dataKey),
+      language: file.language
+    }))
+  };
+  if (updatedNote.language !== undefined) {
+    updatedNote.language = normalizeLanguage(updatedNote.language);
+  }
+  const isNoteChanged = !(prevDecrypted.title === updatedNote.title && prevDecrypted.content === updatedNote.content && prevNote.isPinned === updatedNote.isPinned && prevNote.isArchived === updatedNote.isArchived && prevNote.isDeleted === updatedNote.isDeleted);
+  // Keep the previous version when the text, checklist items, snippet files or labels change
+  if (isContentChanged(prevDecrypted, updatedNote)) {
+    await saveRevision(prevNote);
+  }
+  // Rebuild the search index from the note as it will be after the update
+  const searchIndex = buildSearchIndex({
+    title: updatedNote.title ?? prevDecrypted.title,
+    content: updatedNote.content ?? prevDecrypted.content,
+    items: updatedNote.items ?? prevDecrypted.items,
+    files: updatedNote.files ?? prevDecrypted.files
+  }, dataKey);
+  // Start or clear the bin retention period when the note moves in or out of the bin
+  if (updatedNote.isDeleted !== undefined && updatedNote.isDeleted !== prevNote.isDeleted) {
+    updatedNote.deletedAt = updatedNote.isDeleted ? new Date() : null;
+  }
+  // Encrypt sensitive fields
+  const encryptedUpdates = encryptNote(updatedNote, dataKey);
+  Object.assign(updatedNote, encryptedUpdates, searchIndex);
+  // Update note, unless another client changed it since it was read
+  const savedNote = await updateNoteIfCurrent(noteId, ownerId, expectedVersion, { $set: updatedNote }, { timestamps: isNoteChanged });
+  // Re-read the [[...]] links when the content changed
+  if (fields.content !== undefined && fields.content !== prevDecrypted.content) {
+    await saveNoteLinks(ownerId, prevNote._id, fields.content, dataKey);
+  }
+  if (savedNote.isDeleted && !prevNote.isDeleted) {
+    await revokeShareLinks([prevNote._id]);
+  }
+  return savedNote;
+};
+
+// Remove notes with their revisions, reminder log, outgoing links, attachments and share links for good,
+// leaving tombstones for sync clients. Links to them from other notes stay and show as broken.
+export const purgeNotes = async (userId, noteIds) => {
+  if (noteIds.length === 0) return;
+  // Collaborators are told about the deletion too
+  const notes = await Note.find({ _id: { $in: noteIds }, user: userId }).select("collaborators.user").lean();
+  const collaboratorsById = new Map(notes.map(note => [note._id.toString(), note.collaborators || []]));
+  await Note.deleteMany({ _id: { $in: noteIds }, user: userId });
+  await NoteRevision.deleteMany({ note: { $in: noteIds } });
+  await ReminderDelivery.deleteMany({ note: { $in: noteIds } });
+  await NoteLink.deleteMany({ source: { $in: noteIds } });
+  await deleteNoteAttachments(userId, noteIds);
+  await revokeShareLinks(noteIds);
+  await Tombstone.insertMany(noteIds.map(id => ({ user: userId, kind: "note", docId: id })));
+  noteIds.forEach(id => publishNoteDeleted(userId, id, collaboratorsById.get(id.toString())));
+};
+
+// Permanently delete a note the user has already moved to the bin
+export const permanentlyDeleteNote = async (userId, noteId) => {
+  validateObjectId(noteId);
+  const note = await Note.findById(noteId);
+  checkNoteOwnership(note, userId);
+  if (!note.isDeleted) {
+    throw new Error("Note must be moved to bin before permanent deletion");
+  }
+  await purgeNotes(userId, [note._id]);
+};
+
+const bulkFailure = (id, error) => ({ id, success: false, status: getErrorStatus(error), ...getErrorBody(error) });
+
+// Build the label update of one note for addLabels/removeLabels, or null if its labels don't change
+const bulkLabelUpdate = (note, action, tag) => {
+  const currentTags = (note.tag || []).map(id => id.toString());
+  const updatedTags = action === "addLabels"
+    ? [...new Set([...currentTags, ...tag])]
+    : currentTags.filter(id => !tag.includes(id));
+  if (updatedTags.length === currentTags.length) return null;
+  return { tag: updatedTags };
+};
+
+// Apply one action to many notes with bulk writes. Every id is checked for
+// ownership on its own and gets a result in the same order as the input.
+export const applyBulkAction = async (userId, ids, action, { colour, tag = [] } = {}) => {
+  const uniqueIds = [...new Set(ids.map(String))];
+  const results = new Map();
+  const validIds = uniqueIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const notes = await Note.find({ _id: { $in: validIds } }).lean();
+  const notesById = new Map(notes.map(note => [note._id.toString(), note]));
+  const owned = [];
+  for (const id of uniqueIds) {
+    try {
+      validateObjectId(id);
+      const note = notesById.get(id);
+      checkNoteOwnership(note, userId);
+      owned.push(note);
+    } catch (error) {
+      results.set(id, bulkFailure(id, error));
+    }
+  }
+
+  if (action === "purge") {
+    const trashed = owned.filter(note => note.isDeleted);
+    for (const note of owned.filter(note => !note.isDeleted)) {
+      const id = note._id.toString();
+      results.set(id, bulkFailure(id, new Error("Note must be moved to bin before permanent deletion")));
+    }
+    await purgeNotes(userId, trashed.map(note => note._id));
+    trashed.forEach(note => results.set(note._id.toString(), { id: note._id.toString(), success: true }));
+    return uniqueIds.map(id => results.get(id));
+  }
+
+  const now = new Date();
+  const operations = [];
+  const revised = [];
+  for (const note of owned) {
+    let updates = null;
+    let timestamps = true;
+    if (BULK_FLAG_UPDATES[action]) {
+      const flags = BULK_FLAG_UPDATES[action];
+      updates = Object.entries(flags).every(([key, value]) => note[key] === value) ? null : flags;
+      // Start or clear the bin retention period as update-note does
+      if (updates && "isDeleted" in flags && note.isDeleted !== flags.isDeleted) {
+        updates = { ...updates, deletedAt: flags.isDeleted ? now : null };
+      }
+    } else if (action === "setColour") {
+      updates = note.colour === colour ? null : { colour };
+      timestamps = false;
+    } else {
+      updates = bulkLabelUpdate(note, action, tag);
+      timestamps = false;
+      if (updates) revised.push(note);
+    }
+    if (!updates) {
+      // Nothing to change, report the note as it is
+      results.set(note._id.toString(), { id: note._id.toString(), success: true, version: note.version ?? 0 });
+      continue;
+    }
+    operations.push({
+      updateOne: {
+        filter: { _id: note._id, user: userId },
+        update: { $set: { ...updates, changedAt: now }, $inc: { version: 1 } },
+        timestamps
+      }
+    });
+  }
+  // Keep the previous labels as revisions, as change-tags does
+  await saveRevisions(revised);
+  if (operations.length > 0) {
+    await Note.bulkWrite(operations, { ordered: false });
+    const changedIds = operations.map(op => op.updateOne.filter._id);
+    const changedNotes = await Note.find({ _id: { $in: changedIds } }).lean();
+    if (action === "trash") {
+      await revokeShareLinks(changedNotes.filter(note => note.isDeleted).map(note => note._id));
+    }
+    for (const note of changedNotes) {
+      publishNoteEvent(userId, "note.updated", note);
+      results.set(note._id.toString(), { id: note._id.toString(), success: true, version: note.version });
+    }
+  }
+  // Notes purged by another request while this one was running
+  return uniqueIds.map(id => results.get(id) || bulkFailure(id, new Error("Note not found")));
+};
@@ -1,28 +1,137 @@
+import mongoose from "mongoose";
+import { Note } from "../models/Note.js";
+import { Tag } from "../models/Tag.js";
 import { encrypt, decrypt } from "../utils/encryption.js";
+import { getDataKey } from "./dataKeys.js";
+import { publishNoteEvent } from "./events.js";
+import { detectLanguage, normalizeLanguage } from "./languages.js";
+import { checkNoteOwnership } from "../middlewares/validation.js";
 
-// Decrypt note contents
-export const decryptNote = (note) => ({
+// Map the ids of a user's labels to their decrypted names
+export const loadTagNames = async (userId, dataKey) => {
+  const tags = await Tag.find({ user: userId }).lean();
+  return new Map(tags.map(t => [t._id.toString(), decrypt(t.name, dataKey)]));
+};
+
+// Decrypt note contents with the owner's data key, leaving out the search index.
+// Label ids are resolved to { _id, name } through tagNames, deleted labels are left out.
+export const decryptNote = ({ searchTokens, titleToken, titleSortKey, ...note }, dataKey, tagNames) => ({
   ...note,
-  title: decrypt(note.title),
-  content: decrypt(note.content),
-  tag: note.tag?.map(t => decrypt(t)) || []
+  title: decrypt(note.title, dataKey),
+  content: decrypt(note.content, dataKey),
+  type: note.type ?? "text",
+  items: (note.items || []).map(item => ({ ...item, text: decrypt(item.text, dataKey) })),
+  language: note.language ?? null,
+  files: (note.files || []).map(file => ({
+    ...file,
+    filename: decrypt(file.filename, dataKey),
+    content: decrypt(file.content, dataKey)
+  })),
+  tag: (note.tag || [])
+    .filter(id => tagNames.has(id.toString()))
+    .map(id => ({ _id: id, name: tagNames.get(id.toString()) })),
+  version: note.version ?? 0
 });
 
-// Encrypt note contents
-export const encryptNote = (noteData) => {
+// Encrypt note contents with the owner's data key. Labels are stored as ids of
+// the user's Tag documents, so renaming a label never touches its notes.
+export const encryptNote = (noteData, dataKey) => {
   const encrypted = {};
   if (noteData.title !== undefined) {
-    encrypted.title = noteData.title ? encrypt(noteData.title) : encrypt("");
+    encrypted.title = noteData.title ? encrypt(noteData.title, dataKey) : encrypt("", dataKey);
   }
   if (noteData.content !== undefined) {
-    encrypted.content = noteData.content ? encrypt(noteData.content) : encrypt("");
+    encrypted.content = noteData.content ? encrypt(noteData.content, dataKey) : encrypt("", dataKey);
+  }
+  if (noteData.items !== undefined) {
+    encrypted.items = (noteData.items || []).map(encryptChecklistItem(dataKey));
+  }
+  if (noteData.files !== undefined) {
+    encrypted.files = (noteData.files || []).map(file => encryptNoteFile(file, dataKey));
   }
   if (noteData.tag !== undefined) {
-    encrypted.tag = noteData.tag?.filter(t => t && t.trim()).map(t => encrypt(t));
+    encrypted.tag = [...new Set((noteData.tag || []).map(id => id.toString()))];
   }
   return encrypted;
 };
 
+// Encrypt a checklist item, keeping its id when it has a valid one
+export const encryptChecklistItem = (dataKey) => ({ _id, text, checked }) => ({
+  ...(_id && mongoose.Types.ObjectId.isValid(_id) && { _id }),
+  text: encrypt(text ?? "", dataKey),
+  checked: checked === true
+});
+
+// Encrypt a snippet file, detecting its language from the file name when none is given
+const encryptNoteFile = ({ _id, filename, content, language }, dataKey) => {
+  const name = filename.trim();
+  return {
+    ...(_id && mongoose.Types.ObjectId.isValid(_id) && { _id }),
+    filename: encrypt(name, dataKey),
+    content: encrypt(content ?? "", dataKey),
+    language: normalizeLanguage(language) ?? detectLanguage(name)
+  };
+};
+
+// Data key a note is encrypted with: the requester's own key for their notes,
+// the owner's key for notes shared with them
+export const getNoteDataKey = (note, userId, dataKey) => {
+  const ownerId = note.user.toString();
+  return ownerId === userId ? dataKey : getDataKey(ownerId);
+};
+
+// Error for a stale expected version, carrying the decrypted server copy of the note
+const versionConflict = async (note, dataKey) => {
+  const error = new Error("Version conflict");
+  error.current = decryptNote(note, dataKey, await loadTagNames(note.user, dataKey));
+  return error;
+};
+
+// Throw a version conflict if the note is no longer at the version the client expects
+export const checkNoteVersion = async (note, expectedVersion, dataKey) => {
+  if (expectedVersion !== undefined && (note.version ?? 0) !== expectedVersion) {
+    throw await versionConflict(note.toObject ? note.toObject() : note, dataKey);
+  }
+};
+
+// Add a version increment and change time to a regular update or an update pipeline
+const withChangeTracking = (update) => {
+  if (Array.isArray(update)) {
+    return [...update, { $set: { version: { $add: [{ $ifNull: ["$version", 0] }, 1] }, changedAt: "$$NOW" } }];
+  }
+  return {
+    ...update,
+    $set: { ...update.$set, changedAt: new Date() },
+    $inc: { ...update.$inc, version: 1 }
+  };
+};
+
+// Atomically update a note owned by the user and bump its version. With an
+// expected version the update only applies if nobody changed the note since.
+export const updateNoteIfCurrent = async (noteId, userId, expectedVersion, update, options = {}) => {
+  const filter = { _id: noteId, user: userId };
+  if (expectedVersion !== undefined) {
+    // Notes created before versioning have no version field and count as 0
+    filter.version = expectedVersion === 0 ? { $in: [0, null] } : expectedVersion;
+  }
+  const updatedNote = await Note.findOneAndUpdate(filter, withChangeTracking(update), { ...options, new: true }).lean();
+  if (updatedNote) {
+    publishNoteEvent(userId, "note.updated", updatedNote);
+    return updatedNote;
+  }
+  // Work out why nothing matched: missing note, someone else's note or a stale version
+  const current = await Note.findById(noteId).lean();
+  checkNoteOwnership(current, userId);
+  throw await versionConflict(current, await getDataKey(userId));
+};
+
+// Expose the note version as an ETag
+export const setNoteETag = (res, note) => {
+  res.set("ETag", `"${note.version ?? 0}"`);
+};
+
+export const ALLOWED_CATEGORIES = ["pinned", "archived", "deleted", "regular"];
+
 // Built a category filter query for searching notes 
 export const buildCategoryFilter = (filter, userId) => {
   const query = { user: userId };
@@ -41,17 +150,55 @@ export const buildCategoryFilter = (filter, userId) => {
   return query;
 };
 
+// Status codes for known error messages
+const statusMap = {
+  "Invalid note ID format": 400,
+  "Note not found": 404,
+  "Access denied": 403,
+  "Validation failed": 400,
+  "Invalid sort option": 400,
+  "Invalid limit": 400,
+  "Invalid cursor": 400,
+  "Invalid revision ID format": 400,
+  "Revision not found": 404,
+  "Invalid note version": 400,
+  "Version conflict": 409,
+  "Note must be moved to bin before permanent deletion": 400,
+  "Invalid sync token": 400,
+  "Invalid saved search ID format": 400,
+  "Saved search not found": 404,
+  "Note is not a checklist": 400,
+  "Invalid checklist item ID format": 400,
+  "Checklist item not found": 404,
+  "Invalid attachment ID format": 400,
+  "Attachment not found": 404,
+  "Only the note owner can do this": 403,
+  "Editor access required": 403,
+  "No user with this email": 404,
+  "Invalid user ID format": 400,
+  "Invalid share link ID format": 400,
+  "Share link not found": 404,
+  "Invalid workspace ID format": 400,
+  "Workspace not found": 404,
+  "Admin access required": 403,
+  "Only the workspace owner can do this": 403,
+  "Invalid invitation ID format": 400,
+  "Invitation not found": 404,
+  "Member not found": 404
+};
+
+// Pick the status code for an error from its message
+export const getErrorStatus = (error) => error.status || statusMap[error.message] || 500;
+
+// Build the error body, with the latest server copy after a version conflict
+// and the failing position of an invalid search query
+export const getErrorBody = (error, defaultMessage) => ({
+  error: error.message || defaultMessage,
+  ...(error.current && { current: error.current }),
+  ...(error.position !== undefined && { position: error.position })
+});
+
 // Send response with relevent status code based on error message
 export const handleError = (error, res, defaultMessage) => {
-  const statusMap = {
-    "Invalid note ID format": 400,
-    "Note not found": 404,
-    "Access denied": 403,
-    "Validation failed": 400
-  };
-  const status = statusMap[error.message] || 500;
-
-  res.status(status).json({
-    error: error.message || defaultMessage
-  });
-};
\ No newline at end of file
+  res.status(getErrorStatus(error)).json(getErrorBody(error, defaultMessage));
+};
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import { Note } from "../models/Note.js";
+import { encrypt, decrypt } from "./encryption.js";
+import { decryptNote } from "./noteUtils.js";
+import { titleSortKeysEnabled } from "./searchIndex.js";
+
+export const SORT_OPTIONS = ["updated", "created", "title"];
+// Upcoming reminders can also be listed soonest first
+export const REMINDER_SORT_OPTIONS = [...SORT_OPTIONS, "reminder"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+// Notes loaded per round trip while a match function may leave some of them out
+const MATCH_BATCH_SIZE = 100;
+
+const SORT_FIELDS = { updated: "updatedAt", created: "createdAt", reminder: "reminderAt" };
+// Sorts listing the earliest first, the others list the newest first
+const ASCENDING_SORTS = ["reminder"];
+
+// Read sort, limit and cursor from the query string
+export const parsePaginationParams = ({ sort = "updated", limit = DEFAULT_LIMIT, cursor }, dataKey, sortOptions = SORT_OPTIONS) => {
+  if (!sortOptions.includes(sort)) {
+    throw new Error("Invalid sort option");
+  }
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    throw new Error("Invalid limit");
+  }
+  return { sort, limit: parsedLimit, cursor: cursor ? decodeCursor(cursor, sort, dataKey) : null };
+};
+
+// Cursors are encrypted with the user's data key, so they are opaque and can't be forged
+export const encodeCursor = (sort, position, dataKey) => {
+  return Buffer.from(encrypt(JSON.stringify({ sort, ...position }), dataKey)).toString("base64url");
+};
+
+export const decodeCursor = (cursor, sort, dataKey) => {
+  try {
+    const payload = JSON.parse(decrypt(Buffer.from(cursor, "base64url").toString(), dataKey));
+    if (payload.sort !== sort) throw new Error();
+    return payload;
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+};
+
+// How many notes to load next. Without a match function every note is kept, so
+// only the rest of the page is loaded. With one, a selective match would otherwise
+// load one note per round trip as the page fills.
+const nextBatchSize = (limit, found, match) => (match ? Math.max(limit, MATCH_BATCH_SIZE) : limit - found);
+
+// Page through notes sorted by a timestamp, newest first unless the sort is
+// ascending, with the id as tie breaker
+const paginateByTimestamp = async (query, { sort, limit, cursor }, dataKey, tagNamesOf, match, keyOf) => {
+  const field = SORT_FIELDS[sort];
+  const direction = ASCENDING_SORTS.includes(sort) ? 1 : -1;
+  const after = direction === 1 ? "$gt" : "$lt";
+  const results = [];
+  let position = cursor;
+  let hasMore = true;
+  while (results.length < limit && hasMore) {
+    const pageQuery = position
+      ? { $and: [query, { $or: [{ [field]: { [after]: new Date(position.value) } }, { [field]: new Date(position.value), _id: { [after]: position.id } }] }] }
+      : query;
+    const batchSize = nextBatchSize(limit, results.length, match);
+    // Fetch one extra note to tell whether another page exists
+    const batch = await Note.find(pageQuery).sort({ [field]: direction, _id: direction }).limit(batchSize + 1).lean();
+    const notes = batch.slice(0, batchSize);
+    hasMore = batch.length > batchSize;
+    for (const [i, note] of notes.entries()) {
+      position = { value: note[field].toISOString(), id: note._id.toString() };
+      const decryptedNote = decryptNote(note, keyOf(note), tagNamesOf(note));
+      if (!match || match(decryptedNote)) results.push(decryptedNote);
+      // The cursor points at the last note looked at, the rest start the next page
+      if (results.length === limit) {
+        if (i < notes.length - 1) hasMore = true;
+        break;
+      }
+    }
+  }
+  return { notes: results, nextCursor: hasMore ? encodeCursor(sort, position, dataKey) : null };
+};
+
+const compareTitles = (a, b) => {
+  return a.title.localeCompare(b.title, undefined, { sensitivity: "base" }) || a.id.localeCompare(b.id);
+};
+
+// Notes of one title bucket. Notes indexed before buckets existed have none and
+// form the first bucket, until the search index backfill gives them one.
+const bucketFilter = (bucket) => ({ titleSortKey: bucket });
+
+const nextBucketFilter = (bucket) => (bucket === null
+  ? { titleSortKey: { $type: "string" } }
+  : { titleSortKey: { $gt: bucket } });
+
+// Ordered titles of recent title sorted listings, found through the list id in
+// their cursors, so following pages don't decrypt every title again. A listing
+// shows the titles as they were on its first page until its list expires.
+const TITLE_LIST_TTL_MS = 5 * 60 * 1000;
+const MAX_TITLE_LISTS = 100;
+const titleLists = new Map();
+
+// Decrypted titles of the notes matching a query, of one bucket when bucket is
+// set, ordered by title. The list of the cursor is reused while it is cached.
+const loadOrderedTitles = async (query, bucket, listId, keyOf) => {
+  const queryKey = JSON.stringify(query);
+  const now = Date.now();
+  const cached = listId ? titleLists.get(listId) : undefined;
+  if (cached && cached.expiresAt > now && cached.queryKey === queryKey && cached.bucket === bucket) {
+    return { listId, ordered: cached.ordered };
+  }
+  const filter = bucket === undefined ? query : { $and: [query, bucketFilter(bucket)] };
+  const titles = await Note.find(filter).select("user title").lean();
+  const ordered = titles
+    .map(note => ({ id: note._id.toString(), title: decrypt(note.title, keyOf(note)) }))
+    .sort(compareTitles);
+  // Lists are added in expiry order, so the oldest are dropped first
+  for (const [id, list] of titleLists) {
+    if (list.expiresAt > now && titleLists.size < MAX_TITLE_LISTS) break;
+    titleLists.delete(id);
+  }
+  const newListId = crypto.randomBytes(8).toString("hex");
+  titleLists.set(newListId, { queryKey, bucket, ordered, expiresAt: now + TITLE_LIST_TTL_MS });
+  return { listId: newListId, ordered };
+};
+
+// Titles are encrypted, so MongoDB can't order them. The titles are decrypted
+// to build the order, then the full notes of the page are loaded and decrypted.
+// With TITLE_SORT_KEYS on, notes are ordered by their stored title bucket (see
+// buildTitleSortKey), then by title within it, so a page only decrypts the titles
+// of the buckets it covers. Cursors without a title point to the start of their bucket.
+const paginateByTitle = async (query, { sort, limit, cursor }, dataKey, tagNamesOf, match, keyOf) => {
+  const bucketed = titleSortKeysEnabled();
+  const results = [];
+  let bucket = bucketed ? cursor?.bucket ?? null : undefined;
+  let after = cursor?.title !== undefined ? cursor : null;
+  let listId = cursor?.list;
+  while (true) {
+    const loaded = await loadOrderedTitles(query, bucket, listId, keyOf);
+    const ordered = loaded.ordered;
+    listId = loaded.listId;
+    let index = after ? ordered.findIndex(entry => compareTitles(entry, after) > 0) : 0;
+    if (index === -1) index = ordered.length;
+    let position = after;
+    while (results.length < limit && index < ordered.length) {
+      const slice = ordered.slice(index, index + nextBatchSize(limit, results.length, match));
+      const notes = await Note.find({ $and: [query, { _id: { $in: slice.map(entry => entry.id) } }] }).lean();
+      const notesById = new Map(notes.map(note => [note._id.toString(), note]));
+      for (const entry of slice) {
+        if (results.length === limit) break;
+        position = entry;
+        index++;
+        const note = notesById.get(entry.id);
+        if (!note) continue; // Deleted or moved since the titles were read
+        const decryptedNote = decryptNote(note, keyOf(note), tagNamesOf(note));
+        if (!match || match(decryptedNote)) results.push(decryptedNote);
+      }
+    }
+    if (index < ordered.length) {
+      return { notes: results, nextCursor: encodeCursor(sort, { bucket, list: listId, title: position.title, id: position.id }, dataKey) };
+    }
+    const next = bucketed
+      ? await Note.findOne({ $and: [query, nextBucketFilter(bucket)] }).sort({ titleSortKey: 1 }).select("titleSortKey").lean()
+      : null;
+    if (!next) return { notes: results, nextCursor: null };
+    if (results.length >= limit) {
+      return { notes: results, nextCursor: encodeCursor(sort, { bucket: next.titleSortKey }, dataKey) };
+    }
+    bucket = next.titleSortKey;
+    after = null;
+    listId = undefined;
+  }
+};
+
+// Return one page of decrypted notes matching a query, with labels resolved through
+// tagNames. The optional match function filters decrypted notes, and pages are
+// filled until the limit is reached. Notes of other users, shared with this one,
+// are decrypted with their owner's { dataKey, tagNames } from owners.
+export const paginateNotes = (query, pagination, dataKey, tagNames, match, owners) => {
+  const keyOf = (note) => owners?.get(note.user.toString())?.dataKey ?? dataKey;
+  const tagNamesOf = (note) => owners?.get(note.user.toString())?.tagNames ?? tagNames;
+  if (pagination.sort === "title") {
+    return paginateByTitle(query, pagination, dataKey, tagNamesOf, match, keyOf);
+  }
+  return paginateByTimestamp(query, pagination, dataKey, tagNamesOf, match, keyOf);
+};
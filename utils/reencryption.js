@@ -0,0 +1,138 @@
+import { Note } from "../models/Note.js";
+import { Tag } from "../models/Tag.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import { User } from "../models/User.js";
+import { Workspace } from "../models/Workspace.js";
+import { ReencryptionJob } from "../models/ReencryptionJob.js";
+import { encrypt, decrypt, needsReencryption, isDataKeyCiphertext, getCurrentKeyId, wrapDataKey, unwrapDataKey } from "./encryption.js";
+import { createWrappedDataKey, getDataKey, hasDataKeyCiphertext } from "./dataKeys.js";
+
+const DEFAULT_BATCH_SIZE = 100;
+// Bumped whenever the job learns to rewrite a new storage format, so it runs again
+const JOB_FORMAT = "data-keys";
+
+// Return the wrapped data key fields of a user or workspace that need rewriting, or null if up to date.
+// Accounts whose key was shredded keep no key until their leftover data is purged.
+const reencryptUser = async (user) => {
+  if (!user.dataKey) {
+    return (await hasDataKeyCiphertext(user._id)) ? null : { dataKey: createWrappedDataKey() };
+  }
+  if (needsReencryption(user.dataKey)) {
+    return { dataKey: wrapDataKey(unwrapDataKey(user.dataKey)) };
+  }
+  return null;
+};
+
+// Move a value still encrypted under a server key to the owner's data key
+const reencrypt = (value, dataKey) => (isDataKeyCiphertext(value) ? value : encrypt(decrypt(value), dataKey));
+
+// Return the fields of a note that need rewriting, or null if it is up to date.
+// Labels are stored as Tag ids and carry no ciphertext.
+const reencryptNote = async (note, getUserKey) => {
+  if (isDataKeyCiphertext(note.title) && isDataKeyCiphertext(note.content)) return null;
+  const dataKey = await getUserKey(note.user);
+  const updates = {};
+  if (!isDataKeyCiphertext(note.title)) updates.title = reencrypt(note.title, dataKey);
+  if (!isDataKeyCiphertext(note.content)) updates.content = reencrypt(note.content, dataKey);
+  return updates;
+};
+
+// Return the fields of a tag that need rewriting, or null if it is up to date
+const reencryptTag = async (tag, getUserKey) => {
+  if (isDataKeyCiphertext(tag.name)) return null;
+  return { name: reencrypt(tag.name, await getUserKey(tag.user)) };
+};
+
+// Users and workspaces go first so every note and tag owner has a data key under the current server key
+const TARGETS = [
+  { Model: User, reencryptDoc: reencryptUser, select: "+dataKey" },
+  { Model: Workspace, reencryptDoc: reencryptUser, select: "+dataKey" },
+  { Model: Note, reencryptDoc: reencryptNote },
+  { Model: NoteRevision, reencryptDoc: reencryptNote },
+  { Model: Tag, reencryptDoc: reencryptTag }
+];
+
+// Track the job running in this process so it is never started twice
+let activeJob = null;
+
+const processCollection = async (job, { Model, reencryptDoc, select }, batchSize, onProgress) => {
+  const name = Model.modelName;
+  const progress = job.progress.get(name) || { lastId: null, scanned: 0, reencrypted: 0, done: false };
+  if (progress.done) return;
+  while (true) {
+    const query = progress.lastId ? { _id: { $gt: progress.lastId } } : {};
+    const docs = await Model.find(query).select(select).sort({ _id: 1 }).limit(batchSize).lean();
+    if (docs.length === 0) break;
+    // Unwrap each owner's data key once per batch
+    const userKeys = new Map();
+    const getUserKey = (userId) => {
+      const id = userId.toString();
+      if (!userKeys.has(id)) userKeys.set(id, getDataKey(id));
+      return userKeys.get(id);
+    };
+    const operations = [];
+    for (const doc of docs) {
+      const updates = await reencryptDoc(doc, getUserKey);
+      if (!updates) continue;
+      // Only overwrite fields that have not been edited since they were read
+      const filter = { _id: doc._id };
+      for (const field of Object.keys(updates)) {
+        filter[field] = doc[field] ?? null;
+      }
+      operations.push({ updateOne: { filter, update: { $set: updates }, timestamps: false } });
+    }
+    if (operations.length > 0) {
+      await Model.bulkWrite(operations, { ordered: false });
+    }
+    progress.lastId = docs[docs.length - 1]._id;
+    progress.scanned += docs.length;
+    progress.reencrypted += operations.length;
+    // Checkpoint after every batch so an interrupted job resumes where it stopped
+    job.progress.set(name, progress);
+    await job.save();
+    onProgress?.({ keyId: job.keyId, collection: name, scanned: progress.scanned, reencrypted: progress.reencrypted });
+  }
+  progress.done = true;
+  job.progress.set(name, progress);
+  await job.save();
+};
+
+// Walk User, Workspace, Note, NoteRevision and Tag in batches, rewrapping data keys under the current
+// server key and moving notes and tags still under a server key to their owner's data key
+export const runReencryptionJob = async ({ batchSize = DEFAULT_BATCH_SIZE, onProgress } = {}) => {
+  if (activeJob) return activeJob;
+  activeJob = (async () => {
+    const keyId = getCurrentKeyId();
+    const job = await ReencryptionJob.findOneAndUpdate(
+      { keyId, format: JOB_FORMAT },
+      { $setOnInsert: { keyId, format: JOB_FORMAT } },
+      { upsert: true, new: true }
+    );
+    if (job.status === "completed") return job;
+    job.status = "running";
+    job.error = null;
+    await job.save();
+    try {
+      for (const target of TARGETS) {
+        await processCollection(job, target, batchSize, onProgress);
+      }
+      job.status = "completed";
+      job.completedAt = new Date();
+    } catch (error) {
+      job.status = "failed";
+      job.error = error.message;
+    }
+    await job.save();
+    return job;
+  })();
+  try {
+    return await activeJob;
+  } finally {
+    activeJob = null;
+  }
+};
+
+// Report the progress of the job for the current key
+export const getReencryptionStatus = async () => {
+  return ReencryptionJob.findOne({ keyId: getCurrentKeyId(), format: JOB_FORMAT }).lean();
+};
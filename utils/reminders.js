@@ -0,0 +1,245 @@
+import { Note } from "../models/Note.js";
+import { User } from "../models/User.js";
+import { Workspace } from "../models/Workspace.js";
+import { ReminderDelivery } from "../models/ReminderDelivery.js";
+import { getDataKey } from "./dataKeys.js";
+import { decrypt } from "./encryption.js";
+import { publishNoteEvent, publishUserEvent } from "./events.js";
+import { createSmtpMailerFromEnv } from "./mailer.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPEAT_INTERVAL_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const POLL_INTERVAL_MS = 60 * 1000;
+// How long a process may spend sending one reminder before another may retry it
+const DELIVERY_LEASE_MS = 5 * 60 * 1000;
+// Failed deliveries are retried after 1, 2, 4... minutes, up to MAX_DELIVERY_ATTEMPTS in all
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 8;
+const BATCH_SIZE = 100;
+
+// Same day of a later month, clamped to the last day of shorter months
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+// First occurrence of a repeating reminder after the given time, null for a
+// one-off reminder. Occurrences missed while the server was down are skipped.
+export const nextReminderAt = (dueAt, repeat, after = new Date()) => {
+  if (REPEAT_INTERVAL_MS[repeat]) {
+    const interval = REPEAT_INTERVAL_MS[repeat];
+    const steps = Math.floor((after - dueAt) / interval) + 1;
+    return new Date(dueAt.getTime() + Math.max(steps, 1) * interval);
+  }
+  if (repeat === "monthly") {
+    let months = 1;
+    while (addMonths(dueAt, months) <= after) months++;
+    return addMonths(dueAt, months);
+  }
+  return null;
+};
+
+// Notifiers take a reminder { id, userId, noteId, dueAt, repeat, title, email }
+// and resolve once it is delivered. The id stays the same when a delivery is
+// retried, so receivers can drop duplicates.
+
+// Default notifier: the delivery log is the in-app inbox, open sessions also get a live event
+export const createInAppNotifier = () => ({
+  deliver: async ({ id, userId, noteId, dueAt }) => {
+    publishUserEvent(userId, { type: "reminder.due", reminderId: id, noteId, dueAt });
+  }
+});
+
+// POST each reminder as JSON to a URL, with the reminder id as Idempotency-Key
+export const createWebhookNotifier = (url) => ({
+  deliver: async (reminder) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": reminder.id },
+      body: JSON.stringify(reminder)
+    });
+    if (!response.ok) {
+      throw new Error(`Reminder webhook responded with ${response.status}`);
+    }
+  }
+});
+
+// Email each reminder to the note owner, or to the members of its workspace,
+// through a mailer from utils/mailer.js
+export const createSmtpNotifier = (mailer) => ({
+  deliver: async (reminder) => {
+    await mailer.send({
+      to: reminder.email,
+      subject: `Reminder: ${reminder.title || "Untitled note"}`,
+      text: `Your reminder for "${reminder.title || "Untitled note"}" is due.`,
+      // Retries reuse the message id, so mail servers can drop duplicates
+      messageId: `<reminder-${reminder.id}@snipkeep>`
+    });
+  }
+});
+
+// Pick the notifier from REMINDER_NOTIFIER: "inapp" (default), "webhook" or "smtp"
+const createNotifierFromEnv = () => {
+  const kind = process.env.REMINDER_NOTIFIER || "inapp";
+  if (kind === "webhook") {
+    const url = process.env.REMINDER_WEBHOOK_URL;
+    if (!URL.canParse(url ?? "")) {
+      throw new Error("REMINDER_WEBHOOK_URL must be set to a valid URL when REMINDER_NOTIFIER is \"webhook\"");
+    }
+    return createWebhookNotifier(url);
+  }
+  if (kind === "smtp") {
+    return createSmtpNotifier(createSmtpMailerFromEnv());
+  }
+  if (kind !== "inapp") {
+    throw new Error(`Unknown reminder notifier "${kind}"`);
+  }
+  return createInAppNotifier();
+};
+
+let notifier = null;
+
+// Replace the reminder notifier, call before the scheduler starts
+export const setReminderNotifier = (newNotifier) => {
+  notifier = newNotifier;
+};
+
+const getNotifier = () => {
+  if (!notifier) notifier = createNotifierFromEnv();
+  return notifier;
+};
+
+// Email addresses a reminder goes to: the note owner, or every member of a workspace
+const getReminderEmail = async (ownerId) => {
+  const user = await User.findById(ownerId).select("email").lean();
+  if (user) return user.email;
+  const workspace = await Workspace.findById(ownerId).select("members.user").lean();
+  if (!workspace) return undefined;
+  const members = await User.find({ _id: { $in: workspace.members.map(m => m.user) } }).select("email").lean();
+  return members.map(member => member.email).join(", ");
+};
+
+const buildReminder = async (note, delivery) => {
+  const userId = note.user.toString();
+  const [dataKey, email] = await Promise.all([getDataKey(userId), getReminderEmail(userId)]);
+  return {
+    id: delivery._id.toString(),
+    userId,
+    noteId: note._id.toString(),
+    dueAt: delivery.dueAt,
+    repeat: note.reminderRepeat,
+    title: decrypt(note.title, dataKey),
+    email
+  };
+};
+
+// Time of the next retry after a failed attempt, doubling with each attempt
+const retryAt = (attempts, now) => new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+
+// Deliver the due occurrence of one note's reminder and move the note on to its
+// next occurrence. Each occurrence is logged once, so a delivery that finished
+// before a restart is never sent again. A failed delivery is retried with a
+// growing delay and given up after MAX_DELIVERY_ATTEMPTS. Returns "delivered" or
+// "failed" once the occurrence is done, null if it couldn't be sent yet.
+const deliverReminder = async (note, now) => {
+  const dueAt = note.reminderAt;
+  try {
+    await ReminderDelivery.updateOne(
+      { note: note._id, dueAt },
+      { $setOnInsert: { user: note.user, note: note._id, dueAt } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another process logged the occurrence at the same time
+    if (error.code !== 11000) throw error;
+  }
+  // Take a lease on the occurrence so no other process sends it meanwhile
+  const delivery = await ReminderDelivery.findOneAndUpdate(
+    { note: note._id, dueAt, status: "pending", $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: new Date(now.getTime() + DELIVERY_LEASE_MS) }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  let status;
+  if (delivery) {
+    try {
+      await getNotifier().deliver(await buildReminder(note, delivery));
+      status = "delivered";
+      await ReminderDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status, deliveredAt: new Date(), error: null, lockedUntil: null } }
+      );
+    } catch (error) {
+      if (delivery.attempts < MAX_DELIVERY_ATTEMPTS) {
+        // Retried on a later run once the delay has passed
+        await ReminderDelivery.updateOne({ _id: delivery._id }, { $set: { error: error.message, lockedUntil: retryAt(delivery.attempts, now) } });
+        return null;
+      }
+      status = "failed";
+      await ReminderDelivery.updateOne({ _id: delivery._id }, { $set: { status, error: error.message, lockedUntil: null } });
+    }
+  } else {
+    const existing = await ReminderDelivery.findOne({ note: note._id, dueAt }).lean();
+    // Still being sent by another process, or waiting for a retry
+    if (existing?.status !== "delivered" && existing?.status !== "failed") return null;
+    status = existing.status;
+  }
+  // Move on to the next occurrence, unless the reminder was changed meanwhile
+  const updatedNote = await Note.findOneAndUpdate(
+    { _id: note._id, reminderAt: dueAt },
+    { $set: { reminderAt: nextReminderAt(dueAt, note.reminderRepeat, now), changedAt: new Date() }, $inc: { version: 1 } },
+    { new: true, timestamps: false }
+  ).lean();
+  if (updatedNote) {
+    publishNoteEvent(note.user.toString(), "note.updated", updatedNote);
+  }
+  return status;
+};
+
+// Deliver every reminder that is due. Notes in the bin keep their reminders
+// but never fire. Returns how many reminders were delivered.
+export const deliverDueReminders = async (now = new Date()) => {
+  let delivered = 0;
+  const skipped = [];
+  while (true) {
+    const notes = await Note.find({ reminderAt: { $lte: now }, isDeleted: false, _id: { $nin: skipped } })
+      .sort({ reminderAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (notes.length === 0) break;
+    for (const note of notes) {
+      const status = await deliverReminder(note, now);
+      if (status === "delivered") delivered++;
+      if (!status) skipped.push(note._id);
+    }
+  }
+  return delivered;
+};
+
+let reminderTimer = null;
+let reminderRunning = false;
+
+// Check for due reminders now and then every minute in this process. Throws
+// right away if the notifier is misconfigured.
+export const startReminderSchedule = () => {
+  if (reminderTimer) return;
+  getNotifier();
+  const run = async () => {
+    if (reminderRunning) return;
+    reminderRunning = true;
+    try {
+      await deliverDueReminders();
+    } catch (error) {
+      console.error("Reminder delivery failed:", error);
+    } finally {
+      reminderRunning = false;
+    }
+  };
+  run();
+  reminderTimer = setInterval(run, POLL_INTERVAL_MS);
+  reminderTimer.unref();
+};
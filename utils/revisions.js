@@ -0,0 +1,55 @@
+import { NoteRevision } from "../models/NoteRevision.js";
+
+// Number of revisions kept per note, the oldest are removed first
+const MAX_REVISIONS_PER_NOTE = 50;
+
+// Label ids of a note, whether stored as ids or resolved to { _id, name }
+const tagIds = (tag = []) => tag.map(t => (t._id ?? t).toString());
+
+// Text and checked state of checklist items, in order
+const itemStates = (items = []) => items.map(item => [item.text, item.checked === true]);
+
+// Name, content and language of snippet files, in order
+const fileStates = (files = []) => files.map(file => [file.filename, file.content, file.language ?? null]);
+
+// Check if an update changes the decrypted title, content, type, checklist items,
+// snippet files, language or labels of a note
+export const isContentChanged = (prevNote, updates) => {
+  const typeChanged = updates.type !== undefined && updates.type !== (prevNote.type ?? "text");
+  const titleChanged = updates.title !== undefined && updates.title !== prevNote.title;
+  const contentChanged = updates.content !== undefined && updates.content !== prevNote.content;
+  const itemsChanged = updates.items !== undefined && JSON.stringify(itemStates(updates.items)) !== JSON.stringify(itemStates(prevNote.items));
+  const filesChanged = updates.files !== undefined && JSON.stringify(fileStates(updates.files)) !== JSON.stringify(fileStates(prevNote.files));
+  const languageChanged = updates.language !== undefined && updates.language !== (prevNote.language ?? null);
+  const tagChanged = updates.tag !== undefined && JSON.stringify(tagIds(updates.tag)) !== JSON.stringify(tagIds(prevNote.tag));
+  return titleChanged || contentChanged || typeChanged || itemsChanged || filesChanged || languageChanged || tagChanged;
+};
+
+// Store the current encrypted fields of notes as revisions, then apply the retention limit
+export const saveRevisions = async (notes) => {
+  if (notes.length === 0) return;
+  await NoteRevision.insertMany(notes.map(note => ({
+    note: note._id,
+    user: note.user,
+    title: note.title,
+    content: note.content,
+    type: note.type,
+    items: note.items,
+    language: note.language,
+    files: note.files,
+    tag: note.tag
+  })));
+  for (const note of notes) {
+    const expired = await NoteRevision.find({ note: note._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(MAX_REVISIONS_PER_NOTE)
+      .select("_id")
+      .lean();
+    if (expired.length > 0) {
+      await NoteRevision.deleteMany({ _id: { $in: expired.map(r => r._id) } });
+    }
+  }
+};
+
+// Store the current encrypted fields of a note as a revision
+export const saveRevision = (note) => saveRevisions([note]);
@@ -0,0 +1,72 @@
+import crypto from "crypto";
+
+// Words are indexed by their prefixes up to this length, longer query words are cut to it
+const MAX_PREFIX_LENGTH = 8;
+// Tokens are truncated HMACs, rare collisions only add candidates that the text check drops
+const TOKEN_LENGTH = 16;
+
+// Derive the user's search index key from their data key, so it dies with it
+const deriveIndexKey = (dataKey) => {
+  return Buffer.from(crypto.hkdfSync("sha256", dataKey, "", "snipkeep-search-index", 32));
+};
+
+const hmacToken = (indexKey, value) => {
+  return crypto.createHmac("sha256", indexKey).update(value).digest("hex").slice(0, TOKEN_LENGTH);
+};
+
+// Split text into lowercase words
+const tokenizeWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Build the blind index for a decrypted note: word prefix tokens over its title,
+// content, checklist items and snippet files, the token of its whole title and,
+// when TITLE_SORT_KEYS is on, its title sort key. Labels are matched by id, so
+// renaming one never re-indexes notes.
+export const buildSearchIndex = ({ title = "", content = "", items = [], files = [] }, dataKey) => {
+  const indexKey = deriveIndexKey(dataKey);
+  const prefixes = new Set();
+  const fileText = files.flatMap(file => [file.filename, file.content]);
+  for (const word of tokenizeWords([title, content, ...items.map(item => item.text), ...fileText].join(" "))) {
+    for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+      prefixes.add(`w:${word.slice(0, length)}`);
+    }
+  }
+  return {
+    searchTokens: [...prefixes].map(p => hmacToken(indexKey, p)),
+    titleToken: buildTitleToken(title, dataKey),
+    titleSortKey: titleSortKeysEnabled() ? buildTitleSortKey(title) : null
+  };
+};
+
+// Title sort keys are stored in plain text, so they are off unless TITLE_SORT_KEYS
+// is "true". Without them titles stay fully encrypted at rest and title sorted
+// pages decrypt every title of the listing.
+export const titleSortKeysEnabled = () => process.env.TITLE_SORT_KEYS === "true";
+
+// Order-preserving bucket of a title from its first character: "0" for an empty
+// title, "1" for a space or symbol, "2" and the digit, "3" and the letter for a-z
+// (accents removed), "4" for any other letter. Title sorted pages order notes by
+// bucket, then by the decrypted title within it, so a page decrypts one bucket
+// rather than every title. It reveals the first character of titles in Latin
+// script to the database.
+export const buildTitleSortKey = (title) => {
+  const first = title.trim().normalize("NFD").replace(/\p{M}/gu, "").toLowerCase()[0];
+  if (!first) return "0";
+  if (/[0-9]/.test(first)) return `2${first}`;
+  if (/[a-z]/.test(first)) return `3${first}`;
+  if (/\p{L}|\p{N}/u.test(first)) return "4";
+  return "1";
+};
+
+// Token of a whole title, ignoring case and surrounding spaces, so [[Note title]]
+// links find their note without decrypting every title. Null for an empty title.
+export const buildTitleToken = (title, dataKey) => {
+  const normalized = title.trim().toLowerCase();
+  return normalized ? hmacToken(deriveIndexKey(dataKey), `t:${normalized}`) : null;
+};
+
+// Tokens a note must contain for every word of the search text to start a word in it
+export const textQueryTokens = (searchText, dataKey) => {
+  const indexKey = deriveIndexKey(dataKey);
+  const words = new Set(tokenizeWords(searchText).map(word => word.slice(0, MAX_PREFIX_LENGTH)));
+  return [...words].map(word => hmacToken(indexKey, `w:${word}`));
+};
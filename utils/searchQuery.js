@@ -0,0 +1,287 @@
+import { Note } from "../models/Note.js";
+import { ALLOWED_COLOURS } from "../middlewares/validation.js";
+import { textQueryTokens } from "./searchIndex.js";
+import { decryptNote } from "./noteUtils.js";
+import { buildLanguageFilter } from "./languages.js";
+
+// Search query language for /search, e.g.
+//   "release notes" -draft tag:work (is:pinned OR colour:mint) after:2024-01-01 lang:python
+// Terms next to each other are ANDed, OR binds looser than AND, "-" negates a
+// term or group and parentheses group terms. Quoted phrases match as written.
+
+const FIELDS = ["tag", "colour", "color", "is", "lang", "language", "before", "after"];
+const FLAGS = { pinned: "isPinned", archived: "isArchived", trashed: "isDeleted" };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Parse errors are bad requests carrying the offset in the query where parsing failed
+const queryError = (message, position) => {
+  const error = new Error(`Invalid search query: ${message}`);
+  error.status = 400;
+  error.position = position;
+  return error;
+};
+
+// Read a quoted string starting at the opening quote, returning its text and the offset after it
+const readQuoted = (text, start) => {
+  const end = text.indexOf('"', start + 1);
+  if (end === -1) {
+    throw queryError("unterminated quote", start);
+  }
+  return { value: text.slice(start + 1, end), next: end + 1 };
+};
+
+// Split a query into parentheses, AND/OR keywords, "-" negations and terms,
+// each with the offset it starts at
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === "-" && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: "-", position: i });
+      i++;
+    } else if (char === '"') {
+      const { value, next } = readQuoted(text, i);
+      tokens.push({ type: "term", value, phrase: true, position: i });
+      i = next;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+      let word = text.slice(start, i);
+      // A field may take a quoted value, as in tag:"my label"
+      if (word.endsWith(":") && text[i] === '"' && FIELDS.includes(word.slice(0, -1).toLowerCase())) {
+        const { value, next } = readQuoted(text, i);
+        word += value;
+        i = next;
+      }
+      if (word === "AND" || word === "OR") {
+        tokens.push({ type: word, position: start });
+      } else {
+        tokens.push({ type: "term", value: word, phrase: false, position: start });
+      }
+    }
+  }
+  return tokens;
+};
+
+const parseDate = (value, position) => {
+  const date = new Date(value);
+  if (!DATE_PATTERN.test(value) || Number.isNaN(date.getTime())) {
+    throw queryError(`invalid date "${value}", expected YYYY-MM-DD`, position);
+  }
+  return date;
+};
+
+// Build the AST node of a single term, checking the value of field terms
+const buildTerm = ({ value, phrase, position }) => {
+  const separator = value.indexOf(":");
+  const field = separator > 0 ? value.slice(0, separator).toLowerCase() : null;
+  if (phrase || !FIELDS.includes(field)) {
+    return { type: "text", value: value.toLowerCase() };
+  }
+  const fieldValue = value.slice(separator + 1);
+  const valuePosition = position + separator + 1;
+  if (!fieldValue) {
+    throw queryError(`expected a value after "${field}:"`, valuePosition);
+  }
+  if (field === "tag") {
+    return { type: "tag", value: fieldValue.toLowerCase() };
+  }
+  if (field === "colour" || field === "color") {
+    const colour = fieldValue.toLowerCase();
+    if (!ALLOWED_COLOURS.includes(colour)) {
+      throw queryError(`unknown colour "${fieldValue}", must be one of: ${ALLOWED_COLOURS.join(", ")}`, valuePosition);
+    }
+    return { type: "colour", value: colour };
+  }
+  if (field === "lang" || field === "language") {
+    return { type: "lang", value: fieldValue.toLowerCase() };
+  }
+  if (field === "is") {
+    const flag = fieldValue.toLowerCase();
+    if (!FLAGS[flag]) {
+      throw queryError(`unknown status "${fieldValue}", must be one of: ${Object.keys(FLAGS).join(", ")}`, valuePosition);
+    }
+    return { type: "is", value: flag };
+  }
+  return { type: field, date: parseDate(fieldValue, valuePosition) };
+};
+
+// Parse a query into an AST of and/or/not nodes over text, tag, colour, is,
+// lang, before and after terms. Throws a 400 error with the position of the problem.
+export const parseSearchQuery = (text) => {
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const positionOf = (token) => (token ? token.position : text.length);
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw queryError("expected a search term", text.length);
+    }
+    if (token.type === "(") {
+      index++;
+      const node = parseOr();
+      if (peek()?.type !== ")") {
+        throw queryError('expected ")"', positionOf(peek()));
+      }
+      index++;
+      return node;
+    }
+    if (token.type === "term") {
+      index++;
+      return buildTerm(token);
+    }
+    throw queryError(`unexpected "${token.type}"`, token.position);
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === "-") {
+      index++;
+      return { type: "not", child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") index++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === "OR") {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const ast = parseOr();
+  if (peek()) {
+    throw queryError(`unexpected "${peek().type === "term" ? peek().value : peek().type}"`, peek().position);
+  }
+  return ast;
+};
+
+// Check whether a query asks about trashed notes, which are otherwise left out
+export const mentionsTrashed = (node) => {
+  if (node.type === "is") return node.value === "trashed";
+  if (node.type === "not") return mentionsTrashed(node.child);
+  if (node.children) return node.children.some(mentionsTrashed);
+  return false;
+};
+
+// Ids of the labels whose name matches a lowercase value, exactly or as a substring
+const matchingTagIds = (tagNames, value, exact) => {
+  return [...tagNames]
+    .filter(([, name]) => (exact ? name.toLowerCase() === value : name.toLowerCase().includes(value)))
+    .map(([id]) => id);
+};
+
+// Check whether a query has text terms, which can't be evaluated by MongoDB
+const hasText = (node) => {
+  if (node.type === "text") return true;
+  if (node.type === "not") return hasText(node.child);
+  if (node.children) return node.children.some(hasText);
+  return false;
+};
+
+// Translate a query into a MongoDB condition that every matching note meets.
+// Flag, colour, language, date and label terms translate exactly. Text terms can only
+// narrow the candidates through the search index and are checked again on the
+// decrypted notes. Returns null when nothing can be pushed down.
+export const buildSearchFilter = (node, { dataKey, tagNames }) => {
+  switch (node.type) {
+    case "text": {
+      const tokens = textQueryTokens(node.value, dataKey);
+      if (tokens.length === 0) return null;
+      return { $or: [{ searchTokens: { $all: tokens } }, { tag: { $in: matchingTagIds(tagNames, node.value, false) } }] };
+    }
+    case "tag":
+      return { tag: { $in: matchingTagIds(tagNames, node.value, true) } };
+    case "colour":
+      return { colour: node.value };
+    case "is":
+      return { [FLAGS[node.value]]: true };
+    case "lang":
+      return buildLanguageFilter(node.value);
+    case "before":
+      return { updatedAt: { $lt: node.date } };
+    case "after":
+      return { updatedAt: { $gte: node.date } };
+    case "not":
+      // Excluding candidates is only safe when the condition is exact
+      return hasText(node.child) ? null : { $nor: [buildSearchFilter(node.child, { dataKey, tagNames })] };
+    case "and": {
+      const conditions = node.children.map(child => buildSearchFilter(child, { dataKey, tagNames })).filter(Boolean);
+      if (conditions.length === 0) return null;
+      return conditions.length === 1 ? conditions[0] : { $and: conditions };
+    }
+    case "or": {
+      const conditions = node.children.map(child => buildSearchFilter(child, { dataKey, tagNames }));
+      return conditions.includes(null) ? null : { $or: conditions };
+    }
+  }
+};
+
+// Evaluate a query against a decrypted note, text terms matching its title,
+// content, checklist items, snippet files or label names
+export const matchesSearchQuery = (node, note) => {
+  switch (node.type) {
+    case "text":
+      return note.title.toLowerCase().includes(node.value)
+        || note.content.toLowerCase().includes(node.value)
+        || note.items.some(item => item.text.toLowerCase().includes(node.value))
+        || note.files.some(file => file.filename.toLowerCase().includes(node.value) || file.content.toLowerCase().includes(node.value))
+        || note.tag.some(t => t.name.toLowerCase().includes(node.value));
+    case "tag":
+      return note.tag.some(t => t.name.toLowerCase() === node.value);
+    case "colour":
+      return note.colour === node.value;
+    case "is":
+      return note[FLAGS[node.value]] === true;
+    case "lang":
+      return note.language === node.value || note.files.some(file => file.language === node.value);
+    case "before":
+      return new Date(note.updatedAt) < node.date;
+    case "after":
+      return new Date(note.updatedAt) >= node.date;
+    case "not":
+      return !matchesSearchQuery(node.child, note);
+    case "and":
+      return node.children.every(child => matchesSearchQuery(child, note));
+    case "or":
+      return node.children.some(child => matchesSearchQuery(child, note));
+  }
+};
+
+// Combine the notes a search runs over with the conditions MongoDB can check
+// for the query. A null query matches every note in scope.
+export const buildSearchQuery = (ast, scope, { dataKey, tagNames }) => {
+  const filter = ast && buildSearchFilter(ast, { dataKey, tagNames });
+  return filter ? { $and: [scope, filter] } : scope;
+};
+
+// Count the notes matching a search. Queries without text terms are counted by
+// MongoDB, others by decrypting the candidates.
+export const countSearchMatches = async (ast, query, { dataKey, tagNames }) => {
+  if (!ast || !hasText(ast)) {
+    return Note.countDocuments(query);
+  }
+  let count = 0;
+  for await (const note of Note.find(query).lean().cursor()) {
+    if (matchesSearchQuery(ast, decryptNote(note, dataKey, tagNames))) count++;
+  }
+  return count;
+};
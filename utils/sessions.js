@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session, MAX_PREVIOUS_TOKENS } from "../models/Session.js";
+import { publishUserEvent } from "./events.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const SECRET_BYTES = 32;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Lifetime of access tokens in seconds, from ACCESS_TOKEN_TTL_SECONDS
+export const getAccessTokenTtlSeconds = () => {
+  const seconds = Number(process.env.ACCESS_TOKEN_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+};
+
+// Days a session lasts without being refreshed, from REFRESH_TOKEN_TTL_DAYS
+export const getRefreshTokenTtlDays = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+};
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const refreshExpiry = () => new Date(Date.now() + getRefreshTokenTtlDays() * DAY_MS);
+
+// Browsers and systems checked in order, the first match names the device
+const BROWSERS = [[/Edg\//, "Edge"], [/OPR\/|Opera/, "Opera"], [/Firefox\//, "Firefox"], [/Chrome\//, "Chrome"], [/Safari\//, "Safari"]];
+const SYSTEMS = [[/Windows/, "Windows"], [/Android/, "Android"], [/iPhone|iPad|iPod/, "iOS"], [/Mac OS X|Macintosh/, "macOS"], [/Linux/, "Linux"]];
+
+// Name the browser and operating system of a user agent, e.g. "Firefox on Linux"
+export const describeDevice = (userAgent) => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+// Sign a short-lived access token naming the user and their session
+const signAccessToken = (userId, sessionId) => {
+  const userData = { user: { id: userId, sessionId } };
+  return jwt.sign(userData, process.env.JWT_SECRET, { expiresIn: getAccessTokenTtlSeconds() });
+};
+
+// Refresh tokens are "<session id>.<secret>", so a refresh finds its session
+// without a lookup by secret
+const issueTokens = (userId, sessionId, secret) => ({
+  authtoken: signAccessToken(userId, sessionId),
+  refreshToken: `${sessionId}.${secret}`,
+  expiresIn: getAccessTokenTtlSeconds()
+});
+
+// Start a session for a user signing in from the request's device
+export const createSession = async (userId, req) => {
+  const secret = crypto.randomBytes(SECRET_BYTES).toString("base64url");
+  const userAgent = (req.get("User-Agent") || "").slice(0, MAX_USER_AGENT_LENGTH);
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip ?? null,
+    expiresAt: refreshExpiry()
+  });
+  return issueTokens(userId.toString(), session._id.toString(), secret);
+};
+
+// Revoke sessions of a user matching a filter, ending their open event streams
+export const revokeSessions = async (userId, filter = {}) => {
+  const sessions = await Session.find({ ...filter, user: userId, revokedAt: null }).select("_id").lean();
+  if (sessions.length === 0) return 0;
+  await Session.updateMany({ _id: { $in: sessions.map(s => s._id) } }, { $set: { revokedAt: new Date() } });
+  sessions.forEach(s => publishUserEvent(userId, { type: "session.revoked", sessionId: s._id.toString() }));
+  return sessions.length;
+};
+
+// Trade a refresh token for new access and refresh tokens. Each refresh token
+// works once: presenting one the session already rotated away from means it
+// was copied, so the whole session is revoked. Returns null for a token that
+// can't be used.
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  const tokenHash = hashToken(secret);
+  const newSecret = crypto.randomBytes(SECRET_BYTES).toString("base64url");
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(newSecret), lastUsedAt: new Date(), expiresAt: refreshExpiry(), ip: req.ip ?? null },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  ).lean();
+  if (session) {
+    return issueTokens(session.user.toString(), sessionId, newSecret);
+  }
+  const reused = await Session.findOne({ _id: sessionId, previousTokenHashes: tokenHash }).select("user").lean();
+  if (reused) {
+    await revokeSessions(reused.user.toString(), { _id: reused._id });
+  }
+  return null;
+};
+
+// Check that an access token's session is still active
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
@@ -0,0 +1,48 @@
+import crypto from "crypto";
+import { Note } from "../models/Note.js";
+import { ShareLink } from "../models/ShareLink.js";
+
+const TOKEN_BYTES = 32;
+// Wrong passwords allowed before a link is locked. Each further one doubles the
+// lockout, starting at a minute and capped at a day.
+const MAX_FAILED_PASSWORD_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Create an unguessable link token and the hash it is looked up by
+export const generateShareToken = () => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  return { token, tokenHash: hashShareToken(token) };
+};
+
+export const hashShareToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Find the link for a token along with its note, or null when the link is
+// unknown or expired or its note is in the bin or gone
+export const findActiveShareLink = async (token) => {
+  if (typeof token !== "string" || !token) return null;
+  const link = await ShareLink.findOne({ tokenHash: hashShareToken(token) }).select("+password").lean();
+  // The TTL index removes expired links only periodically
+  if (!link || (link.expiresAt && link.expiresAt <= new Date())) return null;
+  const note = await Note.findOne({ _id: link.note, user: link.user, isDeleted: false }).select("user title content").lean();
+  return note ? { link, note } : null;
+};
+
+// Count a wrong password on a link and lock it once there were too many in a row
+export const recordFailedPassword = async (linkId, now = new Date()) => {
+  const link = await ShareLink.findOneAndUpdate({ _id: linkId }, { $inc: { failedAttempts: 1 } }, { new: true }).lean();
+  if (!link || link.failedAttempts < MAX_FAILED_PASSWORD_ATTEMPTS) return;
+  const lockout = Math.min(LOCKOUT_BASE_MS * 2 ** (link.failedAttempts - MAX_FAILED_PASSWORD_ATTEMPTS), MAX_LOCKOUT_MS);
+  await ShareLink.updateOne({ _id: linkId }, { $set: { lockedUntil: new Date(now.getTime() + lockout) } });
+};
+
+// Forget the wrong passwords of a link once the right one is given
+export const clearFailedPasswords = async (linkId) => {
+  await ShareLink.updateOne({ _id: linkId, failedAttempts: { $gt: 0 } }, { $set: { failedAttempts: 0, lockedUntil: null } });
+};
+
+// Revoke every link to the given notes, once they move to the bin or are deleted
+export const revokeShareLinks = async (noteIds) => {
+  if (noteIds.length === 0) return;
+  await ShareLink.deleteMany({ note: { $in: noteIds } });
+};
@@ -0,0 +1,38 @@
+import { User } from "../models/User.js";
+import { Note } from "../models/Note.js";
+import { NoteRevision } from "../models/NoteRevision.js";
+import { NoteLink } from "../models/NoteLink.js";
+import { Tag } from "../models/Tag.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { ShareLink } from "../models/ShareLink.js";
+import { Attachment } from "../models/Attachment.js";
+import { Tombstone } from "../models/Tombstone.js";
+import { purgeNotes } from "./noteOperations.js";
+import { deleteAttachments } from "./attachments.js";
+
+const BATCH_SIZE = 500;
+
+// Crypto-shred a user's data: deleting their wrapped data key makes everything
+// encrypted under it unrecoverable at once, then the now unreadable notes,
+// revisions, labels, links, saved searches and attachments are purged. The
+// account stays and gets a fresh key on its next request once the purge is done.
+// Safe to run again if it was interrupted part way.
+export const shredDataKey = async (userId) => {
+  const result = await User.updateOne({ _id: userId }, { $set: { dataKey: null } }, { timestamps: false });
+  if (result.matchedCount === 0) {
+    throw new Error("User not found");
+  }
+  while (true) {
+    const notes = await Note.find({ user: userId }).select("_id").limit(BATCH_SIZE).lean();
+    if (notes.length === 0) break;
+    await purgeNotes(userId, notes.map(note => note._id));
+  }
+  const tags = await Tag.find({ user: userId }).select("_id").lean();
+  await Tag.deleteMany({ user: userId });
+  await Tombstone.insertMany(tags.map(tag => ({ user: userId, kind: "tag", docId: tag._id })));
+  await NoteRevision.deleteMany({ user: userId });
+  await NoteLink.deleteMany({ user: userId });
+  await SavedSearch.deleteMany({ user: userId });
+  await ShareLink.deleteMany({ user: userId });
+  await deleteAttachments(userId, await Attachment.find({ user: userId }).select("_id").lean());
+};
@@ -0,0 +1,59 @@
+import { Note } from "../models/Note.js";
+import { Tag } from "../models/Tag.js";
+import { Tombstone, TOMBSTONE_RETENTION_DAYS } from "../models/Tombstone.js";
+import { encrypt, decrypt } from "./encryption.js";
+import { decryptNote, loadTagNames } from "./noteUtils.js";
+
+// Each token reaches back this far, so writes that commit slightly out of
+// order are sent again rather than missed. Clients dedupe by id and version.
+const SYNC_OVERLAP_MS = 5000;
+const TOMBSTONE_RETENTION_MS = TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Sync tokens are encrypted with the user's data key, so they are opaque and can't be forged
+const encodeSyncToken = (since, dataKey) => {
+  return Buffer.from(encrypt(JSON.stringify({ since: since.toISOString() }), dataKey)).toString("base64url");
+};
+
+const decodeSyncToken = (token, dataKey) => {
+  try {
+    const { since } = JSON.parse(decrypt(Buffer.from(token, "base64url").toString(), dataKey));
+    const date = new Date(since);
+    if (Number.isNaN(date.getTime())) throw new Error();
+    return date;
+  } catch (error) {
+    throw new Error("Invalid sync token");
+  }
+};
+
+// Collect every note and label changed since a sync token, plus tombstones for
+// those deleted. Without a token, or once its tombstones may have expired, the
+// full state is returned with reset set so the client replaces its copy. Notes
+// other users share with the user are not part of it: clients list them with
+// fetch-notes?filter=shared and follow them on the personal event stream.
+export const getChangesSince = async (userId, token, dataKey) => {
+  const startedAt = new Date();
+  const since = token ? decodeSyncToken(token, dataKey) : null;
+  const reset = !since || startedAt - since > TOMBSTONE_RETENTION_MS;
+  const noteQuery = { user: userId };
+  const tagQuery = { user: userId };
+  if (!reset) {
+    noteQuery.changedAt = { $gt: since };
+    tagQuery.updatedAt = { $gt: since };
+  }
+  const [notes, tags, tombstones, tagNames] = await Promise.all([
+    Note.find(noteQuery).lean(),
+    Tag.find(tagQuery).lean(),
+    reset ? [] : Tombstone.find({ user: userId, deletedAt: { $gt: since } }).lean(),
+    loadTagNames(userId, dataKey)
+  ]);
+  return {
+    reset,
+    notes: notes.map(note => decryptNote(note, dataKey, tagNames)),
+    tags: tags.map(t => ({ ...t, name: decrypt(t.name, dataKey) })),
+    deleted: {
+      notes: tombstones.filter(t => t.kind === "note").map(t => t.docId),
+      tags: tombstones.filter(t => t.kind === "tag").map(t => t.docId)
+    },
+    syncToken: encodeSyncToken(new Date(startedAt.getTime() - SYNC_OVERLAP_MS), dataKey)
+  };
+};
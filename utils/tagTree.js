@@ -0,0 +1,57 @@
+// Group labels by the id of their parent, top level labels under "null"
+const groupByParent = (tags) => {
+  const childrenByParent = new Map();
+  for (const tag of tags) {
+    const parentId = tag.parent ? tag.parent.toString() : "null";
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(tag);
+  }
+  return childrenByParent;
+};
+
+// Ids of a label and every label nested below it, given all of the user's labels
+export const collectDescendantIds = (tags, rootId) => {
+  const childrenByParent = groupByParent(tags);
+  const ids = new Set();
+  const stack = [rootId.toString()];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (ids.has(id)) continue;
+    ids.add(id);
+    for (const child of childrenByParent.get(id) || []) {
+      stack.push(child._id.toString());
+    }
+  }
+  return [...ids];
+};
+
+// Check whether moving a label under newParentId would make it its own ancestor
+export const createsCycle = (tags, tagId, newParentId) => {
+  return newParentId !== null && collectDescendantIds(tags, tagId).includes(newParentId.toString());
+};
+
+// Nest decrypted labels into a tree, each level sorted alphabetically. Labels
+// whose parent no longer exists are shown at the top level.
+export const buildTagTree = (tags) => {
+  const ids = new Set(tags.map(t => t._id.toString()));
+  const nodes = tags.map(t => ({
+    ...t,
+    parent: t.parent && ids.has(t.parent.toString()) ? t.parent : null,
+    children: []
+  }));
+  const nodesById = new Map(nodes.map(node => [node._id.toString(), node]));
+  const roots = [];
+  for (const node of nodes) {
+    if (node.parent) {
+      nodesById.get(node.parent.toString()).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  const sortLevel = (level) => {
+    level.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+    level.forEach(node => sortLevel(node.children));
+    return level;
+  };
+  return sortLevel(roots);
+};
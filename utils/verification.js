@@ -0,0 +1,49 @@
+import { User } from "../models/User.js";
+import { Note } from "../models/Note.js";
+
+const FEATURES = ["sharing", "attachments", "workspaces"];
+const DEFAULT_BLOCKED_FEATURES = FEATURES;
+const DEFAULT_MAX_NOTES = 50;
+
+// Accounts created before email verification have no flag and count as verified
+export const isEmailUnverified = (user) => user?.emailVerified === false;
+
+// Features unverified accounts can't use, from UNVERIFIED_BLOCKED_FEATURES as a
+// comma separated list of sharing, attachments and workspaces, or "none"
+export const getUnverifiedBlockedFeatures = () => {
+  const setting = process.env.UNVERIFIED_BLOCKED_FEATURES;
+  if (!setting) return DEFAULT_BLOCKED_FEATURES;
+  if (setting.trim() === "none") return [];
+  return setting.split(",").map(feature => feature.trim()).filter(feature => FEATURES.includes(feature));
+};
+
+// Notes an unverified account may keep, from UNVERIFIED_MAX_NOTES, 0 for no limit
+export const getUnverifiedMaxNotes = () => {
+  const value = Number(process.env.UNVERIFIED_MAX_NOTES);
+  return process.env.UNVERIFIED_MAX_NOTES && Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_NOTES;
+};
+
+const verificationRequired = (message) => {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+};
+
+// Check that an account may use a feature, throwing a 403 while its email is unverified
+export const checkFeatureAllowed = async (userId, feature) => {
+  if (!getUnverifiedBlockedFeatures().includes(feature)) return;
+  const user = await User.findById(userId).select("emailVerified").lean();
+  if (isEmailUnverified(user)) {
+    throw verificationRequired(`Please verify your email to use ${feature}`);
+  }
+};
+
+// Check that the owner of a new note may add another one. Workspaces have no limit.
+export const checkNoteAllowance = async (ownerId) => {
+  const maxNotes = getUnverifiedMaxNotes();
+  if (maxNotes === 0) return;
+  const user = await User.findById(ownerId).select("emailVerified").lean();
+  if (isEmailUnverified(user) && await Note.countDocuments({ user: ownerId }) >= maxNotes) {
+    throw verificationRequired(`Please verify your email to add more than ${maxNotes} notes`);
+  }
+};